@@ -0,0 +1,96 @@
+#!/usr/bin/env node
+/* =============================================================
+   vedic-chart — print a chart from the command line
+   - Same engine as the web wheel (src/chartEngine.js)
+   - Table (default) or JSON output
+   ============================================================= */
+
+import { parseArgs } from 'node:util';
+import { computeChart, formatInZone, formatUT, houseOf, norm360, HOUSE_SYSTEMS, AYANAMSHA_MODELS, SIGNS, VARGAS } from '../src/chartEngine.js';
+import { searchPlaces } from '../src/places.js';
+
+const USAGE = `Usage: vedic-chart --date YYYY-MM-DDTHH:MM [options]
+
+  --date <when>        Birth time: wall clock in --zone, or an ISO instant ending in Z / ±HH:MM
+  --zone <zone>        IANA zone (Asia/Kolkata), fixed offset (+05:30) or LMT   [default: UTC, or the place's zone]
+  --lat <deg>          Latitude, north positive                                [default: 0, or the place's]
+  --lon <deg>          Longitude, east positive                                [default: 0, or the place's]
+  --place <name>       Look up lat/lon/zone in the bundled gazetteer (first match)
+  --ayanamsha <a>      ${AYANAMSHA_MODELS.map(m=>m.id).join(' | ')} | <degrees>  [default: lahiri]
+  --tropical           Tropical zodiac instead of sidereal
+  --node <type>        mean | true                                             [default: mean]
+  --houses <system>    ${HOUSE_SYSTEMS.map(h=>h.id).join(' | ')}  [default: whole]
+  --varga <Dn>         Add a varga sign column; repeatable (${VARGAS.map(v=>v.id).join(',')})
+  --no-outer           Leave out Uranus/Neptune/Pluto
+  --dasha              Also print the Vimshottari mahadashas
+  --strength           Add dignity and Ashtakavarga columns, Shadbala and SAV summaries
+  --panchang           Also print the panchang (tithi, vara, nakshatra, yoga, karana, rise/set, kaal periods, hora)
+  --json               Print the chart object as JSON
+  -h, --help           Show this help`;
+
+const pad2 = (n)=> String(n).padStart(2,'0');
+const dms = (p)=> `${p.sign} ${pad2(p.deg)}°${pad2(p.min)}′`;
+
+function parseCli(argv){
+  const { values } = parseArgs({ args:argv, options:{
+    date:{ type:'string' }, zone:{ type:'string' }, lat:{ type:'string' }, lon:{ type:'string' }, place:{ type:'string' },
+    ayanamsha:{ type:'string', default:'lahiri' }, tropical:{ type:'boolean', default:false }, node:{ type:'string', default:'mean' },
+    houses:{ type:'string', default:'whole' }, varga:{ type:'string', multiple:true, default:[] }, 'no-outer':{ type:'boolean', default:false },
+    dasha:{ type:'boolean', default:false }, strength:{ type:'boolean', default:false }, panchang:{ type:'boolean', default:false }, json:{ type:'boolean', default:false }, help:{ type:'boolean', short:'h', default:false },
+  } });
+  return values;
+}
+
+function chartOptions(v){
+  let lat=0, lon=0, zone='UTC', placeName=null;
+  if(v.place){ const [p]=searchPlaces(v.place,1); if(!p) throw new Error(`No place matching "${v.place}"`); ({ lat, lon } = p); zone=p.tz; placeName=`${p.name}, ${p.region}`; }
+  if(v.lat!==undefined) lat=Number(v.lat); if(v.lon!==undefined) lon=Number(v.lon); if(v.zone) zone=v.zone;
+  const instant=/(Z|[+-]\d{2}:?\d{2})$/i.test(v.date);
+  const ayanamsha=/^-?\d+(\.\d+)?$/.test(v.ayanamsha)? Number(v.ayanamsha): v.ayanamsha;
+  return { placeName, opts:{ ...(instant? { date:new Date(v.date) }: { whenIso:v.date }), zone, lat, lon, sidereal:!v.tropical, ayanamsha, node:v.node, houseSystem:v.houses, outerPlanets:!v['no-outer'], vargas:v.varga, dasha:v.dasha, strength:v.strength, panchang:v.panchang } };
+}
+
+function renderTable(chart, placeName){
+  const vargaIds=Object.keys(chart.ascendant.vargas), st=chart.strength, graha=st? Object.fromEntries(st.grahas.map(g=>[g.key,g])): {};
+  const strengthCells=(p)=>{ const g=graha[p.key], sav=String(st.sav[Math.floor(norm360(p.tropical-chart.ayanamsha.deg)/30)]); if(!g) return ['', '', sav];
+    return [[g.dignity.label, g.combust&&'combust', g.war&&`${g.war.won?'wins':'loses'} war vs ${g.war.against}`].filter(Boolean).join(', '), String(g.bindus), sav]; };
+  const head=['Body','Rasi','Nakshatra','Pada','House','℞','Longitude',...vargaIds,...(st?['Dignity','BAV','SAV']:[])];
+  const rows=[chart.ascendant,...chart.planets].map(p=>[ p.key, dms(p), p.nakshatra, String(p.pada), String(p.house), p.retrograde?'℞':'', `${p.lon.toFixed(3)}°`, ...vargaIds.map(id=>p.vargas[id]), ...(st?strengthCells(p):[]) ]);
+  const widths=head.map((h,i)=>Math.max(h.length,...rows.map(r=>r[i].length)));
+  const line=(r)=> r.map((c,i)=>c.padEnd(widths[i])).join('  ').trimEnd();
+  const out=[
+    `${formatInZone(chart.date,chart.zone,chart.lon,{dateStyle:'full',timeStyle:'medium'})} • ${formatUT(chart.date)}`,
+    `${placeName?placeName+' • ':''}${chart.lat.toFixed(4)}°N ${chart.lon.toFixed(4)}°E • zone ${chart.zone}`,
+    `${chart.sidereal?'Sidereal':'Tropical'} • ayanamsha ${chart.ayanamsha.deg.toFixed(4)}° (${chart.ayanamsha.model}) • ${chart.node} node • ${HOUSE_SYSTEMS.find(h=>h.id===chart.houses.system).name} houses${chart.houses.system!==chart.houses.requested?` (${chart.houses.requested} undefined at this latitude)`:''}`,
+    '', line(head), line(widths.map(w=>'-'.repeat(w))), ...rows.map(line),
+    '', `House cusps: ${chart.houses.cusps.map((c,i)=>`${i+1}:${c.toFixed(2)}°`).join(' ')} • MC ${chart.houses.mc.toFixed(2)}° (house ${houseOf(chart.houses.mc,chart.houses.cusps)})`,
+  ];
+  if(st) out.push('', `Shadbala (rupas / required): ${st.grahas.map(g=>`${g.key} ${g.shadbala.rupas.toFixed(2)}/${g.shadbala.required}`).join(' • ')}`, `SAV: ${st.sav.map((n,i)=>`${SIGNS[i].name.slice(0,3)} ${n}`).join(' ')}`);
+  if(chart.panchang){ const p=chart.panchang, at=(d)=>d? formatInZone(d,chart.zone,chart.lon,{ weekday:'short', hour:'2-digit', minute:'2-digit' }): '—', span=(k)=>k? `${at(k.start)} – ${at(k.end)}`: '—';
+    out.push('', 'Panchang',
+      `  Tithi      ${p.tithi.paksha} ${p.tithi.name} until ${at(p.tithi.end)}`,
+      `  Vara       ${p.vara.name} (${p.vara.en})${p.vara.fromSunrise?` until ${at(p.vara.end)}`:' (no sunrise: civil day)'}`,
+      `  Nakshatra  ${p.nakshatra.name} pada ${p.nakshatra.pada} until ${at(p.nakshatra.end)}`,
+      `  Yoga       ${p.yoga.name} until ${at(p.yoga.end)}`,
+      `  Karana     ${p.karana.name} until ${at(p.karana.end)}`,
+      `  Hora       ${p.hora? `${p.hora.lord} until ${at(p.hora.end)}`: '—'}`,
+      `  Sun        rise ${at(p.sunrise)} • set ${at(p.sunset)} • Moonrise ${at(p.moonrise)}`,
+      `  Rahu Kaal  ${span(p.rahuKaal)} • Yamaganda ${span(p.yamaganda)} • Gulika ${span(p.gulika)}`);
+  }
+  if(chart.dasha){ const d=chart.dasha; out.push('', `Vimshottari: balance of ${d.birthLord} ${d.balanceYears.toFixed(2)} y`, ...d.mahadashas.map(p=>`  ${p.lord.padEnd(8)} ${p.start.toISOString().slice(0,10)} → ${p.end.toISOString().slice(0,10)}`)); }
+  return out.join('\n');
+}
+
+function main(argv){
+  let v; try{ v=parseCli(argv); }catch(e){ console.error(`${e.message}\n\n${USAGE}`); return 2; }
+  if(v.help){ console.log(USAGE); return 0; }
+  if(!v.date){ console.error(`--date is required\n\n${USAGE}`); return 2; }
+  try{
+    const { placeName, opts }=chartOptions(v);
+    const chart=computeChart(opts);
+    console.log(v.json? JSON.stringify({ ...chart, place:placeName }, null, 2): renderTable(chart, placeName));
+    return 0;
+  }catch(e){ console.error(`vedic-chart: ${e.message}`); return 1; }
+}
+
+process.exitCode = main(process.argv.slice(2));
@@ -1,14 +1,23 @@
 'use client';
 
-import React, { useEffect, useState } from 'react';
+import React, { useEffect, useMemo, useRef, useState } from 'react';
 import * as Astronomy from 'astronomy-engine';
+import {
+  ABBR, ASPECT_NAMES, AYANAMSHA_MODELS, BODIES, DASHA_LEVELS, DEG2RAD, DRISHTI, EVENT_TYPES, HOUSE_SYSTEMS, KALA_PARTS, NAKSHATRAS, SHADBALA_PARTS,
+  SIGNS, VARGAS, activeDashaPath, ayanamshaFor, computeAscendantDeg, dashaSubPeriods, formatInZone, formatOffset,
+  formatUT, houseCusps, houseMid, houseOf, isRetrograde, localToUtc, meanLunarNodeLongitude, nakshatraOf, nodeBodies, norm360,
+  panchang, parseZone, planetLongitudes, scanEvents, signedDelta, strengthAnalysis, transitContacts, tropicalLongitudeOf, trueLunarNodeLongitude, vargaN,
+  vargaOf, vimshottariDasha, zodiacBreakdown, zoneOffsetMinutes
+} from './chartEngine.js';
+import { searchPlaces } from './places.js';
 
 /* =============================================================
    Vedic Zodiac Wheel — Dristi Build (vercel‑safe)
    - Uses the user's last working version as base
    - Adds Vedic drishti arrows (sign-based)
-   - Keeps ASC-only blue line (no gray cusps)
+   - Blue ASC line plus dashed cusps for the selected house system
    - Two-letter planet labels inside the wheel
+   - All astronomy lives in chartEngine.js; this file is UI only
    ============================================================= */
 
 /* ---------------- Error Boundary ---------------- */
@@ -24,54 +33,49 @@ class ErrorBoundary extends React.Component {
   ); } return this.props.children as any; }
 }
 
-/* ---------------- Helpers ---------------- */
-const DEG2RAD = Math.PI/180;
-const norm360 = (d:number)=>{ let x=d%360; if(x<0)x+=360; return x; };
-
-const SIGNS = [
-  { name:'Aries',short:'\u092e\u0947\u0937' },{ name:'Taurus',short:'\u0935\u0943\u0937\u092d' },{ name:'Gemini',short:'\u092e\u093f\u0925\u0941\u0928' },{ name:'Cancer',short:'\u0915\u0930\u094d\u0915' },
-  { name:'Leo',short:'\u0938\u093f\u0902\u0939' },{ name:'Virgo',short:'\u0915\u0928\u094d\u092f\u093e' },{ name:'Libra',short:'\u0924\u0941\u0932\u093e' },{ name:'Scorpio',short:'\u0935\u0943\u0936\u094d\u091a\u093f\u0915' },
-  { name:'Sagittarius',short:'\u0927\u0928\u0941' },{ name:'Capricorn',short:'\u092e\u0915\u0930' },{ name:'Aquarius',short:'\u0915\u0941\u0902\u092d' },{ name:'Pisces',short:'\u092e\u0940\u0928' }
-];
-
-const NAKSHATRAS = [
-  { en:'Ashwini',dev:'\u0905\u0936\u094d\u0935\u093f\u0928\u0940' },{ en:'Bharani',dev:'\u092d\u0930\u0923\u0940' },{ en:'Krittika',dev:'\u0915\u0943\u0924\u094d\u0924\u093f\u0915\u093e' },{ en:'Rohini',dev:'\u0930\u094b\u0939\u093f\u0923\u0940' },
-  { en:'Mrigashira',dev:'\u092e\u0943\u0917\u0936\u0940\u0930\u094d\u0937\u093e' },{ en:'Ardra',dev:'\u0906\u0930\u094d\u0926\u094d\u0930\u093e' },{ en:'Punarvasu',dev:'\u092a\u0941\u0928\u0930\u094d\u0935\u0938\u0941' },{ en:'Pushya',dev:'\u092a\u0941\u0937\u094d\u092f' },
-  { en:'Ashlesha',dev:'\u0906\u0936\u094d\u0932\u0947\u0937\u093e' },{ en:'Magha',dev:'\u092e\u0918\u093e' },{ en:'Purva Phalguni',dev:'\u092a\u0942\u0930\u094d\u0935\u092b\u0932\u094d\u0917\u0941\u0928\u0940' },{ en:'Uttara Phalguni',dev:'\u0909\u0924\u094d\u0924\u0930\u092b\u0932\u094d\u0917\u0941\u0928\u0940' },
-  { en:'Hasta',dev:'\u0939\u0938\u094d\u0924' },{ en:'Chitra',dev:'\u091a\u093f\u0924\u094d\u0930\u093e' },{ en:'Swati',dev:'\u0938\u094d\u0935\u093e\u0924\u0940' },{ en:'Vishakha',dev:'\u0935\u093f\u0936\u093e\u0916\u093e' },
-  { en:'Anuradha',dev:'\u0905\u0928\u0941\u0930\u093e\u0927\u093e' },{ en:'Jyeshtha',dev:'\u091c\u094d\u092f\u0947\u0937\u094d\u0920\u093e' },{ en:'Mula',dev:'\u092e\u0942\u0932\u093e' },{ en:'Purva Ashadha',dev:'\u092a\u0942\u0930\u094d\u0935\u093e\u0937\u093e\u0922\u093c\u093e' },
-  { en:'Uttara Ashadha',dev:'\u0909\u0924\u094d\u0924\u0930\u093e\u0937\u093e\u0922\u093c\u093e' },{ en:'Shravana',dev:'\u0936\u094d\u0930\u0935\u0923' },{ en:'Dhanishta',dev:'\u0927\u0928\u093f\u0937\u094d\u091f\u093e' },{ en:'Shatabhisha',dev:'\u0936\u0924\u092d\u093f\u0937\u093e' },
-  { en:'Purva Bhadrapada',dev:'\u092a\u0942\u0930\u094d\u0935\u092d\u093e\u0926\u094d\u0930\u092a\u0926\u093e' },{ en:'Uttara Bhadrapada',dev:'\u0909\u0924\u094d\u0924\u0930\u092d\u093e\u0926\u094d\u0930\u092a\u0926\u093e' },{ en:'Revati',dev:'\u0930\u0947\u0935\u0924\u0940' }
-];
-const NAK_SIZE = 360/27, PADA_SIZE = NAK_SIZE/4;
-const nakshatraOf = (sid:number)=>{ const lon=norm360(sid), idx=Math.floor(lon/NAK_SIZE); const within=lon-idx*NAK_SIZE; const pada=Math.floor(within/PADA_SIZE)+1; const item=NAKSHATRAS[idx]; return { index:idx, name:item.en, dev:item.dev, pada }; };
-const zodiacBreakdown = (lonDeg:number)=>{ const lon=norm360(lonDeg), signIndex=Math.floor(lon/30), inSign=lon%30; const d=Math.floor(inSign), m=Math.floor((inSign-d)*60); return { signIndex, sign:SIGNS[signIndex].name, signGlyph:SIGNS[signIndex].short, deg:d, min:m, raw:lon }; };
-const meanLunarNodeLongitude = (date:Date)=>{ const JD=date.getTime()/86400000+2440587.5; const T=(JD-2451545)/36525; const omega=125.04455501-1934.13626197*T+0.0020762*T*T+(T*T*T)/467410-(T*T*T*T)/60616000; return norm360(omega); };
-
-/* --------------- ASC (numeric) --------------- */
-function lstRadians(date:Date, longitudeDeg:number){ try{ const sth=Astronomy.SiderealTime(date); let lstDeg=sth*15+(Number(longitudeDeg)||0); lstDeg=((lstDeg%360)+360)%360; return lstDeg*DEG2RAD; }catch{return 0;} }
-function computeAscendantDeg(date:Date, latitudeDeg:number, longitudeDeg:number){
-  const φ=Math.max(-89.9999,Math.min(89.9999,Number(latitudeDeg)||0))*DEG2RAD; const θ=lstRadians(date, Number(longitudeDeg)||0);
-  let epsDeg=23.4392911; try{ const tilt:any=Astronomy.EarthTilt(date)||{}; epsDeg=Number.isFinite(tilt.obliq)?tilt.obliq:(Number.isFinite(tilt.obl)?tilt.obl:(Number.isFinite(tilt.eps)?tilt.eps:epsDeg)); }catch{}
-  const ε=epsDeg*DEG2RAD, sinε=Math.sin(ε), cosε=Math.cos(ε), sinφ=Math.sin(φ), cosφ=Math.cos(φ);
-  function altAz(λdeg:number){ const λ=λdeg*DEG2RAD, sinλ=Math.sin(λ), cosλ=Math.cos(λ); const α=Math.atan2(sinλ*cosε,cosλ), δ=Math.asin(sinλ*sinε); let H=θ-α; H=Math.atan2(Math.sin(H),Math.cos(H)); const sinδ=Math.sin(δ), cosδ=Math.cos(δ); const sinAlt=sinφ*sinδ+cosφ*cosδ*Math.cos(H); const alt=Math.asin(Math.max(-1,Math.min(1,sinAlt))); const cosAlt=Math.max(1e-12,Math.sqrt(Math.max(0,1-sinAlt*sinAlt))); const sinAz=-Math.sin(H)*cosδ/cosAlt; const cosAz=(sinδ-sinAlt*sinφ)/(cosAlt*cosφ); let A=Math.atan2(sinAz,cosAz)/DEG2RAD; A=((A%360)+360)%360; return {alt,az:A}; }
-  const roots:{lambda:number,az:number}[]=[]; let prev=altAz(0), prevAlt=prev.alt; for(let L=5;L<=360;L+=5){ const cur=altAz(L), curAlt=cur.alt; if((prevAlt<=0&&curAlt>=0)||(prevAlt>=0&&curAlt<=0)){ let a=L-5,b=L,fa=altAz(a).alt,fb=altAz(b).alt; for(let k=0;k<30;k++){ const m=0.5*(a+b), fm=altAz(m).alt; if(fa*fm<=0){ b=m; fb=fm; } else { a=m; fa=fm; } } const mid=0.5*(a+b), atMid=altAz(mid); roots.push({lambda:mid, az:atMid.az}); } prevAlt=curAlt; }
-  if(!roots.length) return 0; roots.sort((r1,r2)=>Math.abs(r1.az-90)-Math.abs(r2.az-90)); return norm360(roots[0].lambda);
+/* ---------------- UI helpers ---------------- */
+const browserZone = ()=>{ try{ return Intl.DateTimeFormat().resolvedOptions().timeZone||'UTC'; }catch{ return 'UTC'; } };
+// Zone suggestions for the zone input; built once, the list is ~400 entries.
+const ZONE_OPTIONS:string[] = ['LMT','UTC',...((Intl as any).supportedValuesOf?(Intl as any).supportedValuesOf('timeZone'):[])];
+const dashaColor = (lord:string)=> lord==='Rahu'?'#2a9d8f':lord==='Ketu'?'#264653':(BODIES.find(b=>b.key===lord)?.color||'#94a3b8');
+
+/* --------------- Export / import --------------- */
+const CHART_APP = 'vedic-wheel', CHART_FILE_VERSION = 1, SAVED_CHARTS_KEY = 'vedic-wheel.savedCharts';
+// Inputs that fully determine a chart; the JSON file, share URL and saved list all carry exactly these (plus natal).
+const CHART_FIELDS:Record<string,string> = {
+  whenIso:'string',zone:'string',lat:'number',lon:'number',offsetHours:'number',useSidereal:'boolean',ayanamshaModel:'string',ayanamsha:'number',useMeanNode:'boolean',
+  showOuterPlanets:'boolean',showNakshatraGrid:'boolean',showAspects:'boolean',aspectOrb:'number',enabledAspects:'object',labelsOutside:'boolean',showDevanagari:'boolean',
+  showDrishti:'boolean',houseSystem:'string',showHouseDrishti:'boolean',varga:'string',chartStyle:'string',rangeDays:'number',stepHours:'number'
+};
+const RANGE_DAYS = [30,90,180,365], STEP_HOURS = [1,3,6,12,24];
+function readChartFile(raw:any){
+  if(!raw||typeof raw!=='object'||raw.app!==CHART_APP||typeof raw.whenIso!=='string') throw new Error('Not a Vedic wheel chart file');
+  if(Number(raw.version)>CHART_FILE_VERSION) throw new Error(`Chart file version ${raw.version} is newer than this app supports`);
+  const out:any={ name:typeof raw.name==='string'? raw.name: '' };
+  for(const [k,t] of Object.entries(CHART_FIELDS)){ const v=raw[k]; if(typeof v===t && v!==null && (t!=='number'||Number.isFinite(v))) out[k]=v; }
+  // Choice fields must name something this app knows; anything else is dropped and the current setting kept.
+  const allowed:Record<string,any[]>={ varga:VARGAS.map(v=>v.id), chartStyle:CHART_STYLES.map(c=>c.id), houseSystem:HOUSE_SYSTEMS.map(h=>h.id), ayanamshaModel:[...AYANAMSHA_MODELS.map(m=>m.id),'manual'], rangeDays:RANGE_DAYS, stepHours:STEP_HOURS };
+  for(const [k,ids] of Object.entries(allowed)) if(k in out && !ids.includes(out[k])) delete out[k];
+  if(out.enabledAspects){ const asp=out.enabledAspects; if(Array.isArray(asp)) delete out.enabledAspects; else out.enabledAspects=Object.fromEntries(Object.entries(asp).filter(([k,v])=>k in ASPECT_NAMES&&typeof v==='boolean')); }
+  const n=raw.natal; out.natal=n&&typeof n.date==='string'&&!isNaN(Date.parse(n.date))? { date:new Date(n.date), lat:Number(n.lat)||0, lon:Number(n.lon)||0, zone:String(n.zone||'UTC') }: null;
+  return out;
 }
-
-/* --------------- Ephemeris --------------- */
-const BODIES = [
-  { key:'Sun',body:Astronomy.Body.Sun,color:'#ffb703' },{ key:'Moon',body:Astronomy.Body.Moon,color:'#8ecae6' },{ key:'Mercury',body:Astronomy.Body.Mercury,color:'#adb5bd' },{ key:'Venus',body:Astronomy.Body.Venus,color:'#ffafcc' },{ key:'Mars',body:Astronomy.Body.Mars,color:'#e63946' },{ key:'Jupiter',body:Astronomy.Body.Jupiter,color:'#ffd166' },{ key:'Saturn',body:Astronomy.Body.Saturn,color:'#cdb4db' },{ key:'Uranus',body:Astronomy.Body.Uranus,color:'#94d2bd',optional:true },{ key:'Neptune',body:Astronomy.Body.Neptune,color:'#90caf9',optional:true },{ key:'Pluto',body:Astronomy.Body.Pluto,color:'#bfb8da',optional:true }
-];
-const ABBR = { Sun:'Su',Moon:'Mo',Mercury:'Me',Venus:'Ve',Mars:'Ma',Jupiter:'Ju',Saturn:'Sa',Uranus:'Ur',Neptune:'Ne',Pluto:'Pl','Rahu (Mean)':'Ra','Ketu (Mean)':'Ke','Rahu (True – TBD)':'Ra','Ketu (True – TBD)':'Ke' };
-// Parāśari drishti rules (sign-based distances counted from aspector's sign)
-const DRISHTI = { Sun:[7],Moon:[7],Mercury:[7],Venus:[7],Mars:[4,7,8],Jupiter:[5,7,9],Saturn:[3,7,10],Uranus:[7],Neptune:[7],Pluto:[7],'Rahu (Mean)':[5,7,9],'Ketu (Mean)':[5,7,9],'Rahu (True – TBD)':[5,7,9],'Ketu (True – TBD)':[5,7,9] };
-
-function planetLongitudes(date:Date, useMeanNode:boolean){
-  const results:any[]=[]; for(const item of BODIES){ const vec=Astronomy.GeoVector(item.body,date,true); const ecl=Astronomy.Ecliptic(vec); results.push({ key:item.key,color:item.color,body:item.body,elon:norm360(ecl.elon),optional:!!item.optional }); }
-  const rahu=meanLunarNodeLongitude(date), ketu=norm360(rahu+180); results.push({ key:useMeanNode?'Rahu (Mean)':'Rahu (True – TBD)', color:'#2a9d8f', elon:rahu, isNode:true }); results.push({ key:useMeanNode?'Ketu (Mean)':'Ketu (True – TBD)', color:'#264653', elon:ketu, isNode:true });
-  return results;
+const encodeShare = (obj:any)=>{ const bytes=new TextEncoder().encode(JSON.stringify(obj)); let bin=''; bytes.forEach(b=>{ bin+=String.fromCharCode(b); }); return btoa(bin).replace(/\+/g,'-').replace(/\//g,'_').replace(/=+$/,''); };
+const decodeShare = (str:string)=>{ const b64=str.replace(/-/g,'+').replace(/_/g,'/'); const bin=atob(b64+'==='.slice((b64.length+3)%4)); return JSON.parse(new TextDecoder().decode(Uint8Array.from(bin,c=>c.charCodeAt(0)))); };
+const loadSavedCharts = ()=>{ try{ const list=JSON.parse(localStorage.getItem(SAVED_CHARTS_KEY)||'[]'); return Array.isArray(list)? list: []; }catch{ return []; } };
+// Throws when storage is full or blocked; callers report it in the file status line.
+const storeSavedCharts = (list:any[])=>{ localStorage.setItem(SAVED_CHARTS_KEY, JSON.stringify(list)); };
+
+function downloadBlob(filename:string, blob:Blob){ const url=URL.createObjectURL(blob); const a=document.createElement('a'); a.href=url; a.download=filename; document.body.appendChild(a); a.click(); a.remove(); setTimeout(()=>URL.revokeObjectURL(url),1000); }
+const csvCell = (v:any)=>{ const s=String(v); return /[",\r\n]/.test(s)? `"${s.replace(/"/g,'""')}"`: s; };
+const toCsv = (rows:any[][])=> rows.map(r=>r.map(csvCell).join(',')).join('\r\n');
+// Tailwind classes don't travel with a standalone SVG, so the computed fill is copied onto every classed element.
+function serializeSvg(svg:SVGSVGElement){
+  const clone=svg.cloneNode(true) as SVGSVGElement; const src=svg.querySelectorAll('*'), dst=clone.querySelectorAll('*');
+  src.forEach((el,i)=>{ if(el.getAttribute('class')){ dst[i].setAttribute('fill',getComputedStyle(el).fill); dst[i].removeAttribute('class'); } });
+  clone.removeAttribute('class'); clone.setAttribute('xmlns','http://www.w3.org/2000/svg'); return new XMLSerializer().serializeToString(clone);
 }
+function svgToPng(svgText:string, width:number, height:number, scale=2){ return new Promise<Blob>((resolve,reject)=>{ const img=new Image(); img.onload=()=>{ const c=document.createElement('canvas'); c.width=width*scale; c.height=height*scale; const ctx:any=c.getContext('2d'); ctx.fillStyle='#fff'; ctx.fillRect(0,0,c.width,c.height); ctx.drawImage(img,0,0,c.width,c.height); c.toBlob(b=>b? resolve(b): reject(new Error('PNG encoding failed')),'image/png'); }; img.onerror=()=>reject(new Error('SVG could not be rasterised')); img.src='data:image/svg+xml;charset=utf-8,'+encodeURIComponent(svgText); }); }
 
 function resolveCollisions(points:any[], minSepDeg=6){ const sorted=[...points].sort((a,b)=>a.lon-b.lon); for(let i=1;i<sorted.length;i++){ const prev=sorted[i-1], cur=sorted[i]; const gap=Math.abs(norm360(cur.lon-prev.lon)); if(gap<minSepDeg) cur._bump=(prev._bump||0)+1; } if(sorted.length>1){ const first=sorted[0], last=sorted[sorted.length-1]; const wrapGap=Math.abs(norm360(first.lon+360-last.lon)); if(wrapGap<minSepDeg) first._bump=(last._bump||0)+1; } return points; }
 const angleToXY=(angleDeg:number,r:number,cx:number,cy:number)=>{ const a=(0-angleDeg)*DEG2RAD; return { x:cx+r*Math.cos(a), y:cy+r*Math.sin(a) }; };
@@ -83,21 +87,52 @@ function Wheel({
   showAspects, aspectOrb, enabledAspects, useMeanNode,
   labelsOutside=true, showDevanagari=true,
   showDrishti=true,
-  lat, lon
+  houseSystem='whole', showHouseDrishti=false,
+  varga='D1', onSelectVarga, chartStyle='circle', onMessage=(_:string)=>{},
+  lat, lon, zone='UTC',
+  birthDate, birthAyanamshaDeg,
+  transitDate, transitAyanamshaDeg=0
 }){
   const planets=planetLongitudes(date, useMeanNode);
   const filtered=planets.filter((p:any)=>showOuterPlanets||!p.optional);
   const points=filtered.map((p:any)=>({ ...p, lon: useSidereal? norm360(p.elon-ayanamshaDeg): p.elon }));
   const ascTropical=computeAscendantDeg(date, lat, lon);
   const ascToUse=useSidereal? norm360(ascTropical-ayanamshaDeg): ascTropical;
-
-  const size=740, cx=size/2, cy=size/2, outer=320, inner=250;
+  const houses=houseCusps(houseSystem, date, lat, lon, useSidereal? ayanamshaDeg: 0);
+  const strength=useMemo(()=>strengthAnalysis(date, lat, lon, ayanamshaDeg),[date.getTime(),lat,lon,ayanamshaDeg]), strengthOf:Record<string,any>=Object.fromEntries(strength.grahas.map((g:any)=>[g.key,g]));
+  const houseLabelR=70;
+  // The wheel draws the selected varga; the table keeps the rashi (D1) values. Vargas use whole-sign houses from the varga lagna.
+  const vn=vargaN(varga);
+  const wheelPoints=vn===1? points: points.map((p:any)=>({ ...p, lon:vargaOf(p.lon,vn).lon }));
+  const wheelAsc=vn===1? ascToUse: vargaOf(ascToUse,vn).lon;
+  const wheelHouses=vn===1? houses: { cusps:Array.from({length:12},(_,i)=>norm360(Math.floor(wheelAsc/30)*30+i*30)), asc:wheelAsc, mc:vargaOf(houses.mc,vn).lon, system:'whole' };
+
+  // Bi-wheel: natal chart (date/lat/lon) on a smaller inner ring, transits for transitDate on a second ring outside it.
+  const biWheel=!!transitDate;
+  const size=740, cx=size/2, cy=size/2, outer=320, inner=biWheel?195:250, transitR=262;
+  const transitPoints=!biWheel? []: planetLongitudes(transitDate, useMeanNode).filter((p:any)=>showOuterPlanets||!p.optional).map((p:any)=>{ const l=useSidereal? norm360(p.elon-transitAyanamshaDeg): p.elon; return { ...p, lon:vn===1? l: vargaOf(l,vn).lon }; });
+  const contacts=!biWheel? []: transitContacts(transitPoints, [...wheelPoints,{ key:'Ascendant', lon:wheelAsc, color:'#0ea5e9' }], enabledAspects, aspectOrb).filter((c:any)=>c.kind==='drishti'?showDrishti:showAspects);
   const hasAspect=(a:number,b:number)=>{ const ang=Math.min(norm360(a-b),norm360(b-a)); const enabled=Object.keys(enabledAspects).filter(k=>enabledAspects[+k]).map(k=>parseFloat(k)); return enabled.some(t=>Math.abs(ang-t)<=aspectOrb); };
 
-  const csvRows:[(string|number)[]]=[[ 'Body','Rasi','Nakshatra','Longitude' ]];
+  const csvRows:(string|number)[][]=[[ 'Body','Rasi','Nakshatra','Longitude','House','Dignity','BAV','SAV' ]];
+  [{ key:'Ascendant', lon:ascToUse, sid:norm360(ascTropical-ayanamshaDeg) }, ...points.map((p:any)=>({ key:p.key, lon:p.lon, sid:norm360(p.elon-ayanamshaDeg) }))].forEach((r:any)=>{ const z=zodiacBreakdown(r.lon), nk=nakshatraOf(r.sid), g=strengthOf[r.key]; csvRows.push([ r.key, `${z.sign} ${z.deg}°${String(z.min).padStart(2,'0')}′`, `${nk.name} (pada ${nk.pada})`, z.raw.toFixed(3), houseOf(r.lon,houses.cusps), g? strengthFlags(g).join('; '): '', g? g.bindus: '', strength.sav[Math.floor(r.sid/30)] ]); });
+  const chartBoxRef=useRef<any>(null);
+  const fileBase=`chart-${(biWheel?transitDate:date).toISOString().slice(0,16).replace(/[-:]/g,'')}`;
+  const exportSvg=()=>{ const svg=chartBoxRef.current?.querySelector('svg'); if(svg) downloadBlob(`${fileBase}.svg`, new Blob([serializeSvg(svg)],{type:'image/svg+xml'})); };
+  const exportPng=()=>{ const svg=chartBoxRef.current?.querySelector('svg'); if(svg) svgToPng(serializeSvg(svg),size,size).then(b=>downloadBlob(`${fileBase}.png`,b)).catch((e:any)=>onMessage(`PNG export failed: ${e.message||e}`)); };
+  const exportCsv=()=> downloadBlob(`${fileBase}.csv`, new Blob(['\ufeff'+toCsv(csvRows)],{type:'text/csv;charset=utf-8'}));
 
   return (
     <div className="flex flex-col lg:flex-row gap-6">
+      <div className="flex flex-col gap-4">
+      <div className="flex gap-2 text-xs">
+        <span className="text-slate-500 self-center">Export</span>
+        <button onClick={exportSvg} className="border rounded-full px-3 py-1 bg-slate-50 hover:bg-slate-100">SVG</button>
+        <button onClick={exportPng} className="border rounded-full px-3 py-1 bg-slate-50 hover:bg-slate-100">PNG</button>
+        <button onClick={exportCsv} className="border rounded-full px-3 py-1 bg-slate-50 hover:bg-slate-100">Placements CSV</button>
+      </div>
+      <div ref={chartBoxRef}>
+      {chartStyle==='circle'? (
       <svg width={size} height={size} className="rounded-2xl shadow border bg-white">
         <defs>
           <radialGradient id="wheelBg" cx="50%" cy="50%" r="65%"><stop offset="0%" stopColor="#ffffff"/><stop offset="100%" stopColor="#f1f5f9"/></radialGradient>
@@ -132,24 +167,38 @@ function Wheel({
         <circle cx={cx} cy={cy} r={inner} fill="none" stroke="#e2e8f0" strokeWidth={1} />
 
         {/* ASC line only */}
-        {(()=>{ const ascAngle=ascToUse; const p=angleToXY(ascAngle,outer,cx,cy); const pos=angleToXY(ascAngle,outer+18,cx,cy); return (
+        {(()=>{ const ascAngle=wheelAsc; const p=angleToXY(ascAngle,outer,cx,cy); const pos=angleToXY(ascAngle,outer+18,cx,cy); return (
           <g>
             <line x1={cx} y1={cy} x2={p.x} y2={p.y} stroke="#0ea5e9" strokeWidth={2} opacity={0.95}/>
             <text x={pos.x} y={pos.y} textAnchor="middle" dominantBaseline="middle" className="fill-sky-600" style={{fontSize:14,fontWeight:800}}>ASC</text>
           </g>
         ); })()}
 
+        {/* House cusps, MC and bhava numbers */}
+        {wheelHouses.cusps.map((c:number,i:number)=>{ if(Math.abs(signedDelta(c,wheelAsc))<1e-6) return null; const p=angleToXY(c,outer,cx,cy), q=angleToXY(c,houseLabelR+14,cx,cy); return <line key={`cusp-${i}`} x1={q.x} y1={q.y} x2={p.x} y2={p.y} stroke="#0ea5e9" strokeWidth={1} strokeDasharray="4 4" opacity={0.6}/>; })}
+        <circle cx={cx} cy={cy} r={houseLabelR+14} fill="none" stroke="#e2e8f0" strokeWidth={1} />
+        {wheelHouses.cusps.map((_:number,i:number)=>{ const m=angleToXY(houseMid(i+1,wheelHouses.cusps),houseLabelR,cx,cy); return <text key={`hnum-${i}`} x={m.x} y={m.y} textAnchor="middle" dominantBaseline="middle" className="fill-sky-700" style={{fontSize:11,fontWeight:700}}>{i+1}</text>; })}
+        {(()=>{ const p=angleToXY(wheelHouses.mc,outer,cx,cy), pos=angleToXY(wheelHouses.mc,outer+18,cx,cy); return (
+          <g>
+            <line x1={cx} y1={cy} x2={p.x} y2={p.y} stroke="#0ea5e9" strokeWidth={1.2} strokeDasharray="2 3" opacity={0.9}/>
+            <text x={pos.x} y={pos.y} textAnchor="middle" dominantBaseline="middle" className="fill-sky-600" style={{fontSize:12,fontWeight:800}}>MC</text>
+          </g>
+        ); })()}
+
         {/* Vedic drishti arrows */}
-        {showDrishti && points.map((a:any,i:number)=>{
+        {showDrishti && !biWheel && wheelPoints.map((a:any,i:number)=>{
           const aSign=Math.floor(a.lon/30); const rules=DRISHTI[a.key]||[7];
-          return points.map((b:any,j:number)=>{ if(i===j) return null; const bSign=Math.floor(b.lon/30); const dist=((bSign - aSign + 12) % 12) + 1; if(!rules.includes(dist)) return null; const pa=angleToXY(a.lon,inner,cx,cy), pb=angleToXY(b.lon,inner,cx,cy); const dx=pb.x-pa.x, dy=pb.y-pa.y, L=Math.hypot(dx,dy)||1; const sx=pa.x+dx*(8/L), sy=pa.y+dy*(8/L), ex=pb.x-dx*(12/L), ey=pb.y-dy*(12/L); return <line key={`dr-${i}-${j}`} x1={sx} y1={sy} x2={ex} y2={ey} stroke={a.color} strokeWidth={1.4} opacity={0.85} markerEnd="url(#arrowHead)"/>; });
+          return wheelPoints.map((b:any,j:number)=>{ if(i===j) return null; const bSign=Math.floor(b.lon/30); const dist=((bSign - aSign + 12) % 12) + 1; if(!rules.includes(dist)) return null; const pa=angleToXY(a.lon,inner,cx,cy), pb=angleToXY(b.lon,inner,cx,cy); const dx=pb.x-pa.x, dy=pb.y-pa.y, L=Math.hypot(dx,dy)||1; const sx=pa.x+dx*(8/L), sy=pa.y+dy*(8/L), ex=pb.x-dx*(12/L), ey=pb.y-dy*(12/L); return <line key={`dr-${i}-${j}`} x1={sx} y1={sy} x2={ex} y2={ey} stroke={a.color} strokeWidth={1.4} opacity={0.85} markerEnd="url(#arrowHead)"/>; });
         })}
 
+        {/* Drishti onto empty bhavas (counted from the aspector's house) */}
+        {showDrishti && showHouseDrishti && (()=>{ const occupied=new Set(wheelPoints.map((p:any)=>houseOf(p.lon,wheelHouses.cusps))); return wheelPoints.map((a:any,i:number)=>{ const aHouse=houseOf(a.lon,wheelHouses.cusps); return (DRISHTI[a.key]||[7]).map((dist:number)=>{ const target=((aHouse-1+dist-1)%12)+1; if(occupied.has(target)) return null; const pa=angleToXY(a.lon,inner,cx,cy), pb=angleToXY(houseMid(target,wheelHouses.cusps),houseLabelR+16,cx,cy); const dx=pb.x-pa.x, dy=pb.y-pa.y, L=Math.hypot(dx,dy)||1; return <line key={`hdr-${i}-${dist}`} x1={pa.x+dx*(8/L)} y1={pa.y+dy*(8/L)} x2={pb.x} y2={pb.y} stroke={a.color} strokeWidth={1.2} strokeDasharray="5 3" opacity={0.7} markerEnd="url(#arrowHead)"/>; }); }); })()}
+
         {/* Geo aspects (optional) */}
-        {showAspects && points.map((a:any,i:number)=> points.slice(i+1).map((b:any,j:number)=>{ const ang=Math.min(norm360(a.lon-b.lon),norm360(b.lon-a.lon)); const enabled=Object.keys(enabledAspects).filter(k=>enabledAspects[+k]).map(k=>parseFloat(k)); if(!enabled.some(t=>Math.abs(ang-t)<=aspectOrb)) return null; const pa=angleToXY(a.lon,inner,cx,cy), pb=angleToXY(b.lon,inner,cx,cy); return <line key={`asp-${i}-${j}`} x1={pa.x} y1={pa.y} x2={pb.x} y2={pb.y} stroke="#94a3b8" strokeWidth={1} opacity={0.4}/>; }))}
+        {showAspects && !biWheel && wheelPoints.map((a:any,i:number)=> wheelPoints.slice(i+1).map((b:any,j:number)=>{ const ang=Math.min(norm360(a.lon-b.lon),norm360(b.lon-a.lon)); const enabled=Object.keys(enabledAspects).filter(k=>enabledAspects[+k]).map(k=>parseFloat(k)); if(!enabled.some(t=>Math.abs(ang-t)<=aspectOrb)) return null; const pa=angleToXY(a.lon,inner,cx,cy), pb=angleToXY(b.lon,inner,cx,cy); return <line key={`asp-${i}-${j}`} x1={pa.x} y1={pa.y} x2={pb.x} y2={pb.y} stroke="#94a3b8" strokeWidth={1} opacity={0.4}/>; }))}
 
         {/* Planet markers */}
-        {resolveCollisions(points.map((p:any)=>({ ...p })),6).map((p:any)=>{ const pos=angleToXY(p.lon,inner,cx,cy); const label=zodiacBreakdown(p.lon); const bump=(p._bump||0), stem=22+bump*14, textY=28+bump*14; let retro=false; try{ if(p.body && !p.isNode && p.key!=='Sun' && p.key!=='Moon'){ const dtm=new Date(date.getTime()-12*3600000), dtp=new Date(date.getTime()+12*3600000); const prev=Astronomy.Ecliptic(Astronomy.GeoVector(p.body,dtm,true)).elon; const next=Astronomy.Ecliptic(Astronomy.GeoVector(p.body,dtp,true)).elon; let delta=norm360(next-prev); if(delta>180) delta-=360; retro=delta<0; } }catch{} return (
+        {resolveCollisions(wheelPoints.map((p:any)=>({ ...p })),6).map((p:any)=>{ const pos=angleToXY(p.lon,inner,cx,cy); const label=zodiacBreakdown(p.lon); const bump=(p._bump||0), stem=22+bump*14, textY=28+bump*14; const retro=isRetrograde(p,date); return (
           <g key={`p-${p.key}`}>
             <circle cx={pos.x} cy={pos.y} r={7} fill={p.color} stroke="#0f172a" strokeWidth={1}/>
             <line x1={pos.x} y1={pos.y} x2={pos.x} y2={pos.y-stem} stroke={p.color} strokeWidth={1}/>
@@ -158,25 +207,325 @@ function Wheel({
           </g>
         ); })}
 
+        {/* Transit ring: transit → natal drishti arrows and aspect lines, then transit markers */}
+        {biWheel && (<g>
+          <circle cx={cx} cy={cy} r={transitR} fill="none" stroke="#c4b5fd" strokeWidth={1} strokeDasharray="3 3" />
+          {contacts.map((c:any,i:number)=>{ const pa=angleToXY(c.transit.lon,transitR,cx,cy), pb=angleToXY(c.natal.lon,inner,cx,cy); const dx=pb.x-pa.x, dy=pb.y-pa.y, L=Math.hypot(dx,dy)||1; return c.kind==='drishti'
+            ? <line key={`tdr-${i}`} x1={pa.x+dx*(6/L)} y1={pa.y+dy*(6/L)} x2={pb.x-dx*(10/L)} y2={pb.y-dy*(10/L)} stroke={c.transit.color} strokeWidth={1.3} opacity={0.8} strokeDasharray="6 2" markerEnd="url(#arrowHead)"/>
+            : <line key={`tasp-${i}`} x1={pa.x} y1={pa.y} x2={pb.x} y2={pb.y} stroke="#7c3aed" strokeWidth={1} opacity={0.35}/>; })}
+          {resolveCollisions(transitPoints.map((p:any)=>({ ...p })),6).map((p:any)=>{ const pos=angleToXY(p.lon,transitR,cx,cy), out=angleToXY(p.lon,transitR+22+(p._bump||0)*12,cx,cy); const retro=isRetrograde(p,transitDate); return (
+            <g key={`t-${p.key}`}>
+              <rect x={pos.x-5} y={pos.y-5} width={10} height={10} fill={p.color} stroke="#4c1d95" strokeWidth={1}/>
+              <text x={out.x} y={out.y} textAnchor="middle" dominantBaseline="middle" className="fill-violet-800" style={{fontSize:10,fontWeight:700}}>{(ABBR[p.key]||p.key.slice(0,2))}{retro?'\u211E':''}</text>
+            </g>
+          ); })}
+        </g>)}
+
         <circle cx={cx} cy={cy} r={4} fill="#0f172a"/>
+        {vn!==1 && <text x={16} y={28} className="fill-slate-700" style={{fontSize:16,fontWeight:800}}>{varga} {VARGAS.find(v=>v.id===varga)?.name}</text>}
       </svg>
+      ) : (
+        <SquareChart layout={chartStyle} size={size} points={wheelPoints} asc={wheelAsc} date={date} subtitle={formatInZone(date,zone,lon,{dateStyle:'medium',timeStyle:'short'})} showDevanagari={showDevanagari} showDrishti={showDrishti} title={`${varga} ${VARGAS.find(v=>v.id===varga)?.name}`} transitPoints={transitPoints} transitDate={transitDate} contacts={contacts}/>
+      )}
+      </div>
+      <VargaGrid points={points} asc={ascToUse} selected={varga} onSelect={onSelectVarga} showDevanagari={showDevanagari}/>
+      </div>
 
       {/* Sidebar */}
       <div className="min-w-[360px] max-w-[520px]">
-        <h2 className="text-xl font-bold text-slate-800 mb-2">Placements</h2>
-        <p className="text-sm text-slate-600 mb-3">{new Intl.DateTimeFormat(undefined,{dateStyle:'full',timeStyle:'medium'}).format(date)}</p>
+        <h2 className="text-xl font-bold text-slate-800 mb-2">{biWheel?'Natal placements':'Placements'}</h2>
+        <p className="text-sm text-slate-600 mb-3">{formatInZone(date,zone,lon,{dateStyle:'full',timeStyle:'medium'})} • {formatUT(date)}</p>
+        <p className="text-xs text-slate-600 mb-3">Houses: {HOUSE_SYSTEMS.find(h=>h.id===houses.system)?.name}{houses.system!==houseSystem?` (${HOUSE_SYSTEMS.find(h=>h.id===houseSystem)?.name||houseSystem} undefined at this latitude)`:''} • MC {zodiacBreakdown(houses.mc).sign} {zodiacBreakdown(houses.mc).deg}°{String(zodiacBreakdown(houses.mc).min).padStart(2,'0')}′</p>
+        {(()=>{ const mean=meanLunarNodeLongitude(date), tru=trueLunarNodeLongitude(date), d=signedDelta(tru,mean); return (
+          <p className="text-xs text-slate-600 mb-3">Rahu: mean {mean.toFixed(3)}° • true {tru.toFixed(3)}° • true − mean {d>=0?'+':''}{d.toFixed(3)}° ({useMeanNode?'mean':'true'} node shown)</p>
+        ); })()}
         <table className="w-full text-sm border-separate border-spacing-y-1">
-          <thead><tr className="text-left text-slate-500"><th className="pb-1">Body</th><th className="pb-1">Rasi (राशि)</th><th className="pb-1">Nakshatra</th><th className="pb-1">Longitude</th></tr></thead>
+          <thead><tr className="text-left text-slate-500"><th className="pb-1">Body</th><th className="pb-1">Rasi (राशि)</th><th className="pb-1">Nakshatra</th><th className="pb-1">Longitude</th><th className="pb-1">House</th><th className="pb-1" title="Sidereal sign dignity, combustion and graha yuddha">Dignity</th><th className="pb-1" title="Bhinnashtakavarga bindus in the occupied sign">BAV</th><th className="pb-1" title="Sarvashtakavarga bindus of the occupied sign">SAV</th></tr></thead>
           <tbody>
             {(()=>{ const z=zodiacBreakdown(ascToUse); const sidLon=norm360(ascTropical-ayanamshaDeg); const nk=nakshatraOf(sidLon); return (
-              <tr className="bg-slate-100"><td className="px-2 py-1 font-semibold" style={{color:'#0ea5e9'}}>Ascendant</td><td className="px-2 py-1">{z.sign} {z.deg}°{String(z.min).padStart(2,'0')}′</td><td className="px-2 py-1">{nk.dev} (pada {nk.pada})</td><td className="px-2 py-1">{z.raw.toFixed(3)}°</td></tr>
+              <tr className="bg-slate-100"><td className="px-2 py-1 font-semibold" style={{color:'#0ea5e9'}}>Ascendant</td><td className="px-2 py-1">{z.sign} {z.deg}°{String(z.min).padStart(2,'0')}′</td><td className="px-2 py-1">{nk.dev} (pada {nk.pada})</td><td className="px-2 py-1">{z.raw.toFixed(3)}°</td><td className="px-2 py-1">{houseOf(ascToUse,houses.cusps)}</td><td className="px-2 py-1 text-slate-400">—</td><td className="px-2 py-1 text-slate-400">—</td><td className="px-2 py-1">{strength.sav[Math.floor(sidLon/30)]}</td></tr>
             ); })()}
             {points.map((p:any)=>{ const z=zodiacBreakdown(p.lon); const sidLon=norm360(p.elon-ayanamshaDeg); const nk=nakshatraOf(sidLon); return (
-              <tr key={`row-${p.key}`} className="bg-slate-50"><td className="px-2 py-1 font-semibold" style={{color:p.color}}>{p.key}</td><td className="px-2 py-1">{z.sign} {z.deg}°{String(z.min).padStart(2,'0')}′</td><td className="px-2 py-1">{nk.dev} (pada {nk.pada})</td><td className="px-2 py-1">{z.raw.toFixed(3)}°</td></tr>
+              <tr key={`row-${p.key}`} className="bg-slate-50"><td className="px-2 py-1 font-semibold" style={{color:p.color}}>{p.key}</td><td className="px-2 py-1">{z.sign} {z.deg}°{String(z.min).padStart(2,'0')}′</td><td className="px-2 py-1">{nk.dev} (pada {nk.pada})</td><td className="px-2 py-1">{z.raw.toFixed(3)}°</td><td className="px-2 py-1">{houseOf(p.lon,houses.cusps)}</td><td className="px-2 py-1 text-xs">{strengthOf[p.key]? <DignityCell g={strengthOf[p.key]}/>: <span className="text-slate-400">—</span>}</td><td className="px-2 py-1">{strengthOf[p.key]?.bindus??'—'}</td><td className="px-2 py-1">{strength.sav[Math.floor(sidLon/30)]}</td></tr>
             ); })}
           </tbody>
         </table>
+        <StrengthPanel strength={strength} showDevanagari={showDevanagari}/>
+        {biWheel && (<div className="mt-4">
+          <h2 className="text-xl font-bold text-slate-800 mb-1">Active transits</h2>
+          <p className="text-xs text-slate-600 mb-2">{formatInZone(transitDate,zone,lon,{dateStyle:'medium',timeStyle:'short'})} • {formatUT(transitDate)}</p>
+          {contacts.length? (<table className="w-full text-sm border-separate border-spacing-y-1">
+            <thead><tr className="text-left text-slate-500"><th className="pb-1">Transit</th><th className="pb-1">Contact</th><th className="pb-1">Natal</th><th className="pb-1">Orb</th></tr></thead>
+            <tbody>{contacts.map((c:any,i:number)=>(
+              <tr key={`tc-${i}`} className="bg-violet-50"><td className="px-2 py-1 font-semibold" style={{color:c.transit.color}}>{c.transit.key}{isRetrograde(c.transit,transitDate)?' \u211E':''}</td><td className="px-2 py-1">{c.label}</td><td className="px-2 py-1" style={{color:c.natal.color}}>{c.natal.key}</td><td className="px-2 py-1">{c.kind==='aspect'?`${c.orb.toFixed(2)}°`:'sign'}</td></tr>
+            ))}</tbody>
+          </table>) : <p className="text-sm text-slate-500">No transit contacts with the current toggles.</p>}
+        </div>)}
+        {birthDate && <DashaPanel birthDate={birthDate} birthAyanamshaDeg={birthAyanamshaDeg} date={transitDate||date}/>}
+      </div>
+    </div>
+  );
+}
+
+/* ---------------- North / South Indian square charts ---------------- */
+const CHART_STYLES = [ {id:'circle',name:'Circular wheel'},{id:'north',name:'North Indian'},{id:'south',name:'South Indian'} ];
+// North Indian: fixed bhavas (1 = top diamond, counter-clockwise) as [centre, sign-label anchor, tokens per row] in unit-square coordinates.
+const NORTH_HOUSES = [
+  [[0.5,0.25],[0.5,0.43],3],[[0.25,0.083],[0.25,0.2],2],[[0.083,0.25],[0.2,0.25],1],[[0.25,0.5],[0.43,0.5],3],[[0.083,0.75],[0.2,0.75],1],[[0.25,0.917],[0.25,0.8],2],
+  [[0.5,0.75],[0.5,0.57],3],[[0.75,0.917],[0.75,0.8],2],[[0.917,0.75],[0.8,0.75],1],[[0.75,0.5],[0.57,0.5],3],[[0.917,0.25],[0.8,0.25],1],[[0.75,0.083],[0.75,0.2],2]
+];
+// South Indian: fixed signs on the 4×4 border, Pisces top-left, running clockwise. [col,row] per sign index.
+const SOUTH_CELLS = [ [1,0],[2,0],[3,0],[3,1],[3,2],[3,3],[2,3],[1,3],[0,3],[0,2],[0,1],[0,0] ];
+
+// Bi-wheel mode passes transitPoints/transitDate and the transit drishti contacts; transits sit on their own rows, in violet.
+function SquareChart({ layout, size, points, asc, date, subtitle, showDevanagari, showDrishti, title, transitPoints=[], transitDate=undefined, contacts=[] }){
+  const pad=10, S=size-2*pad, ascSign=Math.floor(norm360(asc)/30);
+  const signLabel=(i:number)=> showDevanagari? SIGNS[i].short: SIGNS[i].name.slice(0,3);
+  // Each sign gets a centre, a label anchor and a row width for stacking planet tokens.
+  const slots=Array.from({length:12},(_,sign)=>{
+    if(layout==='north'){ const h=(sign-ascSign+12)%12, [c,l,perRow]=NORTH_HOUSES[h] as any; return { house:h+1, cx:pad+c[0]*S, cy:pad+c[1]*S, lx:pad+l[0]*S, ly:pad+l[1]*S, perRow }; }
+    const [col,row]=SOUTH_CELLS[sign], w=S/4; return { house:(sign-ascSign+12)%12+1, x:pad+col*w, y:pad+row*w, cx:pad+col*w+w/2, cy:pad+row*w+w/2+8, lx:pad+col*w+6, ly:pad+row*w+14, perRow:3 };
+  });
+  const bySign:any[][]=Array.from({length:12},()=>[]); points.forEach((p:any)=>bySign[Math.floor(norm360(p.lon)/30)].push(p));
+  const transitBySign:any[][]=Array.from({length:12},()=>[]); transitPoints.forEach((p:any)=>transitBySign[Math.floor(norm360(p.lon)/30)].push(p));
+  const tokenW=S*0.075, lineH=15;
+  return (
+    <svg width={size} height={size} className="rounded-2xl shadow border bg-white">
+      <defs>
+        <marker id="arrowHeadSq" markerWidth="10" markerHeight="7" refX="10" refY="3.5" orient="auto" markerUnits="strokeWidth"><polygon points="0 0, 10 3.5, 0 7" fill="#334155" /></marker>
+      </defs>
+      <rect x={pad} y={pad} width={S} height={S} fill="#fff" stroke="#0f172a" strokeWidth={2}/>
+      {layout==='north'? (<g stroke="#94a3b8" strokeWidth={1.2} fill="none">
+        <line x1={pad} y1={pad} x2={pad+S} y2={pad+S}/><line x1={pad+S} y1={pad} x2={pad} y2={pad+S}/>
+        <polygon points={`${pad+S/2},${pad} ${pad+S},${pad+S/2} ${pad+S/2},${pad+S} ${pad},${pad+S/2}`}/>
+      </g>) : (<g stroke="#94a3b8" strokeWidth={1.2} fill="none">
+        {[1,2,3].map(k=> <line key={`sv-${k}`} x1={pad+k*S/4} y1={pad} x2={pad+k*S/4} y2={pad+S}/>)}
+        {[1,2,3].map(k=> <line key={`sh-${k}`} x1={pad} y1={pad+k*S/4} x2={pad+S} y2={pad+k*S/4}/>)}
+        <rect x={pad+S/4} y={pad+S/4} width={S/2} height={S/2} fill="#f8fafc" stroke="none"/>
+        {(()=>{ const sl:any=slots[ascSign]; return <line x1={sl.x} y1={sl.y+S/8} x2={sl.x+S/8} y2={sl.y} stroke="#0ea5e9" strokeWidth={2}/>; })()}
+      </g>)}
+      <text x={pad+S/2} y={layout==='north'?pad+S/2+4:pad+S/2-8} textAnchor="middle" className="fill-slate-700" style={{fontSize:layout==='north'?11:16,fontWeight:800}}>{title}</text>
+      {layout==='south' && <text x={pad+S/2} y={pad+S/2+14} textAnchor="middle" className="fill-slate-500" style={{fontSize:12}}>{subtitle}</text>}
+
+      {/* Sign labels; lagna highlighted */}
+      {slots.map((sl:any,i:number)=>(
+        <text key={`sl-${i}`} x={sl.lx} y={sl.ly} textAnchor={layout==='north'?'middle':'start'} dominantBaseline="middle" className={i===ascSign?'fill-sky-600':'fill-slate-400'} style={{fontSize:11,fontWeight:i===ascSign?800:600}}>{signLabel(i)}{i===ascSign?' ASC':''}</text>
+      ))}
+
+      {/* Drishti between occupied houses (sign-based, as on the wheel) */}
+      {showDrishti && points.map((a:any,i:number)=>{ const aSign=Math.floor(norm360(a.lon)/30), rules=DRISHTI[a.key]||[7]; const targets=new Set(points.filter((b:any)=>b!==a&&rules.includes(((Math.floor(norm360(b.lon)/30)-aSign+12)%12)+1)).map((b:any)=>Math.floor(norm360(b.lon)/30))); return [...targets].map((t:number)=>{ const A=slots[aSign], B=slots[t], off=(i%5-2)*3; const dx=B.cx-A.cx, dy=B.cy-A.cy, L=Math.hypot(dx,dy)||1; return <line key={`sqd-${i}-${t}`} x1={A.cx+dx*(18/L)+off} y1={A.cy+dy*(18/L)+off} x2={B.cx-dx*(22/L)+off} y2={B.cy-dy*(22/L)+off} stroke={a.color} strokeWidth={1.2} opacity={0.7} markerEnd="url(#arrowHeadSq)"/>; }); })}
+
+      {/* Transit → natal drishti (bi-wheel), sign to sign */}
+      {contacts.filter((c:any)=>c.kind==='drishti').map((c:any,i:number)=>{ const A=slots[Math.floor(norm360(c.transit.lon)/30)], B=slots[Math.floor(norm360(c.natal.lon)/30)], off=(i%5-2)*3; const dx=B.cx-A.cx, dy=B.cy-A.cy, L=Math.hypot(dx,dy)||1; return L<1? null: <line key={`sqt-${i}`} x1={A.cx+dx*(18/L)+off} y1={A.cy+dy*(18/L)+off} x2={B.cx-dx*(22/L)+off} y2={B.cy-dy*(22/L)+off} stroke={c.transit.color} strokeWidth={1.2} opacity={0.8} strokeDasharray="6 2" markerEnd="url(#arrowHeadSq)"/>; })}
+
+      {/* Planet tokens, stacked in rows within each house; transits on the rows after the natal ones */}
+      {bySign.map((list:any[],sign:number)=>{ const sl:any=slots[sign], perRow=Math.max(1,sl.perRow), transits=transitBySign[sign], natalRows=Math.ceil(list.length/perRow), rows=natalRows+Math.ceil(transits.length/perRow);
+        const token=(p:any,k:number,n:number,firstRow:number,transit:boolean)=>{ const row=Math.floor(k/perRow), inRow=Math.min(perRow,n-row*perRow), col=k%perRow; const x=sl.cx+(col-(inRow-1)/2)*tokenW, y=sl.cy+(firstRow+row-(rows-1)/2)*lineH; const z=zodiacBreakdown(p.lon); const retro=isRetrograde(p,transit?transitDate:date); return (
+          <text key={`sq-${transit?'t-':''}${p.key}`} x={x} y={y} textAnchor="middle" dominantBaseline="middle" style={{fontSize:12,fontWeight:700,fill:transit?'#6d28d9':p.color==='#ffd166'||p.color==='#ffb703'?'#b45309':'#0f172a'}}>
+            <title>{`${transit?'Transit ':''}${p.key} ${z.sign} ${z.deg}°${String(z.min).padStart(2,'0')}′${retro?' ℞':''}`}</title>
+            {ABBR[p.key]||p.key.slice(0,2)}{retro?'\u211E':''}<tspan style={{fontSize:9,fontWeight:400}} className={transit?'fill-violet-400':'fill-slate-500'}>{z.deg}°</tspan>
+          </text>
+        ); };
+        return [...list.map((p:any,k:number)=>token(p,k,list.length,0,false)), ...transits.map((p:any,k:number)=>token(p,k,transits.length,natalRows,true))]; })}
+    </svg>
+  );
+}
+
+/* ---------------- Varga thumbnails ---------------- */
+function VargaThumb({ varga, points, asc, selected, onSelect, showDevanagari }){
+  const size=150, c=size/2, r=62, n=varga.n;
+  const ascV=vargaOf(asc,n); const bySign:any[][]=Array.from({length:12},()=>[]);
+  points.forEach((p:any)=>{ const v=vargaOf(p.lon,n); bySign[v.signIndex].push({ ...p, vargottama:n!==1&&v.signIndex===Math.floor(norm360(p.lon)/30) }); });
+  return (
+    <button onClick={()=>onSelect&&onSelect(varga.id)} className={`rounded-xl border bg-white p-1 text-left ${selected===varga.id?'ring-2 ring-sky-400':'hover:bg-slate-50'}`} title={`${varga.id} ${varga.name}`}>
+      <svg width={size} height={size}>
+        <circle cx={c} cy={c} r={r} fill="none" stroke="#94a3b8"/>
+        {Array.from({length:12}).map((_,i)=>{ const p=angleToXY(i*30,r,c,c), m=angleToXY(i*30+15,r+8,c,c); return (
+          <g key={`vt-${i}`}>
+            <line x1={c} y1={c} x2={p.x} y2={p.y} stroke={i===ascV.signIndex?'#0ea5e9':'#e2e8f0'} strokeWidth={i===ascV.signIndex?1.5:1}/>
+            <text x={m.x} y={m.y} textAnchor="middle" dominantBaseline="middle" className="fill-slate-400" style={{fontSize:7}}>{showDevanagari?SIGNS[i].short:SIGNS[i].name.slice(0,3)}</text>
+            {bySign[i].map((p:any,k:number)=>{ const q=angleToXY(i*30+15,r-12-k*10,c,c); return <text key={`vtp-${p.key}`} x={q.x} y={q.y} textAnchor="middle" dominantBaseline="middle" style={{fontSize:8,fontWeight:p.vargottama?800:500,fill:p.vargottama?'#b45309':'#334155'}}>{ABBR[p.key]||p.key.slice(0,2)}</text>; })}
+          </g>
+        ); })}
+        {(()=>{ const q=angleToXY(ascV.signIndex*30+15,r+18,c,c); return <text x={q.x} y={q.y} textAnchor="middle" dominantBaseline="middle" className="fill-sky-600" style={{fontSize:7,fontWeight:800}}>ASC</text>; })()}
+        <text x={4} y={11} className="fill-slate-700" style={{fontSize:10,fontWeight:800}}>{varga.id}</text>
+      </svg>
+    </button>
+  );
+}
+function VargaGrid({ points, asc, selected, onSelect, showDevanagari }){
+  return (
+    <div>
+      <h2 className="text-sm font-bold text-slate-700 mb-1">Vargas <span className="font-normal text-amber-700">• vargottama in bold amber</span></h2>
+      <div className="grid grid-cols-4 gap-2">{VARGAS.map(v=> <VargaThumb key={v.id} varga={v} points={points} asc={asc} selected={selected} onSelect={onSelect} showDevanagari={showDevanagari}/>)}</div>
+    </div>
+  );
+}
+
+/* ---------------- Dasha panel ---------------- */
+function DashaPanel({ birthDate, birthAyanamshaDeg, date }){
+  const birthMs=birthDate.getTime();
+  const dasha=useMemo(()=>vimshottariDasha(norm360(tropicalLongitudeOf({ key:'Moon', body:Astronomy.Body.Moon },birthDate)-birthAyanamshaDeg), birthDate),[birthMs,birthAyanamshaDeg]);
+  const active=activeDashaPath(dasha, date);
+  // Rows open/closed per period; sub-periods are only built for open rows. The active path opens when it changes, not on every tick.
+  const periodKey=(p:any)=>`${p.level}-${p.start.getTime()}`, activeKey=active.map(periodKey).join('|');
+  const [open,setOpen]=useState<Record<string,boolean>>(()=>Object.fromEntries(active.map((p:any)=>[periodKey(p),true])));
+  useEffect(()=>{ setOpen(o=>({ ...o, ...Object.fromEntries(active.map((p:any)=>[periodKey(p),true])) })); },[activeKey]);
+  const toggle=(k:string)=>(e:any)=>{ const isOpen=e.currentTarget.open; setOpen(o=>!!o[k]===isOpen? o: { ...o, [k]:isOpen }); };
+  const fmt=new Intl.DateTimeFormat(undefined,{dateStyle:'medium'});
+  const total=dasha.mahadashas[8].end.getTime()-dasha.mahadashas[0].start.getTime(), t0=dasha.mahadashas[0].start.getTime();
+  const isActive=(p:any)=>active[p.level]&&active[p.level].start.getTime()===p.start.getTime()&&active[p.level].lord===p.lord;
+  const row=(p:any)=>(<span className={`flex justify-between gap-2 px-2 py-0.5 rounded ${isActive(p)?'bg-amber-100 font-semibold':''}`}><span style={{color:dashaColor(p.lord)}}>{p.lord}</span><span className="text-slate-600">{fmt.format(p.start)} – {fmt.format(p.end)}</span></span>);
+  const renderLevel=(list:any[]):any=>list.map((p:any)=>{ const k=periodKey(p); return p.level<DASHA_LEVELS.length-1? (
+    <details key={k} open={!!open[k]} onToggle={toggle(k)} className="ml-2"><summary className="cursor-pointer list-none">{row(p)}</summary>{open[k]&&renderLevel(dashaSubPeriods(p,p.level+1))}</details>
+  ) : (<div key={k} className="ml-4">{row(p)}</div>); });
+  return (
+    <div className="mt-4">
+      <h2 className="text-xl font-bold text-slate-800 mb-1">Vimshottari Dasha</h2>
+      <p className="text-xs text-slate-600 mb-2">Moon in {NAKSHATRAS[dasha.nakIndex].dev} at birth • balance of {dasha.birthLord}: {dasha.balanceYears.toFixed(2)} y{active.length?` • now: ${active.map((p:any)=>p.lord).join(' / ')}`:''}</p>
+      <svg width="100%" height={18} viewBox="0 0 1000 18" preserveAspectRatio="none" className="mb-2 rounded">
+        {dasha.mahadashas.map((p:any)=>{ const x=(p.start.getTime()-t0)/total*1000, w=(p.end.getTime()-p.start.getTime())/total*1000; return <rect key={`bar-${p.lord}`} x={x} y={0} width={w} height={18} fill={dashaColor(p.lord)} opacity={isActive(p)?1:0.55}><title>{`${p.lord}: ${fmt.format(p.start)} – ${fmt.format(p.end)}`}</title></rect>; })}
+        {date.getTime()>=t0&&date.getTime()<=t0+total&&(<line x1={(date.getTime()-t0)/total*1000} x2={(date.getTime()-t0)/total*1000} y1={0} y2={18} stroke="#0f172a" strokeWidth={3}/>)}
+      </svg>
+      <div className="text-sm max-h-96 overflow-y-auto">{renderLevel(dasha.mahadashas)}</div>
+    </div>
+  );
+}
+
+/* ---------------- Strength panel ---------------- */
+const DIGNITY_TONE:Record<string,string> = { exalted:'text-emerald-700 font-semibold', moolatrikona:'text-emerald-700', own:'text-emerald-600', 'great-friend':'text-sky-700', friend:'text-sky-600', neutral:'text-slate-600', enemy:'text-rose-600', 'great-enemy':'text-rose-700', debilitated:'text-rose-700 font-semibold' };
+const signDeg = (lon:number)=>{ const z=zodiacBreakdown(lon); return `${z.sign} ${z.deg}°`; };
+// Plain-text dignity notes (table tooltip and CSV): dignity with its exact point, then combustion and planetary war.
+const strengthFlags = (g:any)=>[
+  g.dignity.exact!==undefined? `${g.dignity.label} (exact ${signDeg(g.dignity.exact)}, ${g.dignity.offBy.toFixed(1)}° away)`: g.dignity.label,
+  ...(g.combust? [`combust ${g.combust.distance.toFixed(1)}° from Sun (orb ${g.combust.orb}°)`]: []),
+  ...(g.war? [`${g.war.won?'wins':'loses'} graha yuddha with ${g.war.against} (${g.war.separation.toFixed(2)}°)`]: [])
+];
+
+function DignityCell({ g }){
+  return (
+    <span title={strengthFlags(g).join(' • ')}>
+      <span className={DIGNITY_TONE[g.dignity.kind]}>{g.dignity.label}</span>
+      {g.dignity.exact!==undefined && <span className="text-slate-500"> {g.dignity.offBy.toFixed(1)}° from {signDeg(g.dignity.exact)}</span>}
+      {g.combust && <span className="ml-1 rounded bg-orange-100 px-1 text-orange-800">combust</span>}
+      {g.war && <span className={`ml-1 rounded px-1 ${g.war.won?'bg-emerald-100 text-emerald-800':'bg-rose-100 text-rose-800'}`}>{g.war.won?'wins':'loses'} war vs {ABBR[g.war.against]}</span>}
+    </span>
+  );
+}
+
+function StrengthPanel({ strength, showDevanagari }){
+  const strongest=[...strength.grahas].sort((a:any,b:any)=>b.shadbala.ratio-a.shadbala.ratio)[0];
+  const cell='px-1 py-0.5 text-right tabular-nums';
+  return (
+    <details className="mt-4">
+      <summary className="cursor-pointer"><span className="text-xl font-bold text-slate-800">Strength</span><span className="text-xs text-slate-600"> • strongest {strongest.key} ({strongest.shadbala.rupas.toFixed(2)} rupas, {Math.round(strongest.shadbala.ratio*100)}% of required)</span></summary>
+      <p className="text-xs text-slate-600 my-2">Sidereal positions. Shadbala in rupas (60 virupas) against the BPHS minimum for each graha.</p>
+      <table className="w-full text-xs">
+        <thead><tr className="text-slate-500"><th className="text-left px-1">Graha</th>{SHADBALA_PARTS.map((p:any)=><th key={p.id} className="text-right px-1">{p.name}</th>)}<th className="text-right px-1">Total</th><th className="text-left px-1 w-24">vs required</th></tr></thead>
+        <tbody>{strength.grahas.map((g:any)=>(
+          <tr key={`sb-${g.key}`} className="odd:bg-slate-50">
+            <td className="px-1 py-0.5 font-semibold" style={{color:g.color}}>{g.key}{g.retrograde?' \u211E':''}</td>
+            {SHADBALA_PARTS.map((p:any)=><td key={p.id} className={cell}>{(g.shadbala[p.id]/60).toFixed(2)}</td>)}
+            <td className={`${cell} font-semibold`}>{g.shadbala.rupas.toFixed(2)}</td>
+            <td className="px-1"><span className="block h-2 rounded bg-slate-200" title={`${g.shadbala.rupas.toFixed(2)} of ${g.shadbala.required} rupas${g.motion?` • ${g.motion}`:''} • kala: ${KALA_PARTS.map((k:string)=>`${k} ${Math.round(g.shadbala.kalaParts[k])}`).join(', ')}`}><span className={`block h-2 rounded ${g.shadbala.ratio>=1?'bg-emerald-500':'bg-rose-400'}`} style={{width:`${Math.min(100,g.shadbala.ratio*100/1.5)}%`}}/></span></td>
+          </tr>
+        ))}</tbody>
+      </table>
+      <h3 className="font-semibold text-slate-800 mt-3 mb-1">Ashtakavarga</h3>
+      <table className="w-full text-xs">
+        <thead><tr className="text-slate-500"><th/>{SIGNS.map((s:any,i:number)=><th key={s.name} className={`px-0.5 text-center ${i===strength.signs.Ascendant?'text-sky-600':''}`} title={i===strength.signs.Ascendant?`${s.name} (lagna)`:s.name}>{showDevanagari?s.short:s.name.slice(0,3)}</th>)}<th className="px-1 text-right">Σ</th></tr></thead>
+        <tbody>
+          {strength.grahas.map((g:any)=>(
+            <tr key={`av-${g.key}`} className="odd:bg-slate-50"><td className="px-1 font-semibold" style={{color:g.color}}>{ABBR[g.key]}</td>{strength.bav[g.key].map((n:number,i:number)=><td key={i} className={`text-center tabular-nums ${i===g.sign?'bg-amber-100 font-semibold':''}`}>{n}</td>)}<td className="px-1 text-right tabular-nums">{strength.bav[g.key].reduce((a:number,b:number)=>a+b,0)}</td></tr>
+          ))}
+          <tr className="border-t font-semibold"><td className="px-1">SAV</td>{strength.sav.map((n:number,i:number)=><td key={i} className={`text-center tabular-nums ${n>=28?'text-emerald-700':n<25?'text-rose-600':''}`}>{n}</td>)}<td className="px-1 text-right tabular-nums">{strength.sav.reduce((a:number,b:number)=>a+b,0)}</td></tr>
+        </tbody>
+      </table>
+    </details>
+  );
+}
+
+/* ---------------- Panchang panel ---------------- */
+function PanchangPanel({ date, lat, lon, zone, ayanamshaDeg, showDevanagari }){
+  // panchang() runs rise/set searches and limb scans, so it is computed for a bucket start and reused while `date` stays in
+  // [bucket, validUntil); leaving that window moves the bucket to `date`. Ayanamsha drifts ~0.0001° a day while scrubbing, so it is
+  // keyed to 0.001°, which moves limb ends by seconds at most.
+  const t=date.getTime(), ayanamshaKey=Math.round(ayanamshaDeg*1e3)/1e3, [bucket,setBucket]=useState(t);
+  const p=useMemo(()=>panchang(new Date(bucket), lat, lon, ayanamshaKey, zone),[bucket,lat,lon,zone,ayanamshaKey]);
+  if(t!==bucket&&(t<bucket||t>=p.validUntil.getTime())) setBucket(t);
+  const at=(d:any)=> d? formatInZone(d,zone,lon,{ weekday:'short', hour:'numeric', minute:'2-digit' }): '—';
+  const span=(k:any)=> k? `${at(k.start)} – ${at(k.end)}`: '—';
+  const now=(k:any)=> !!k && date.getTime()>=k.start.getTime() && date.getTime()<k.end.getTime();
+  const items:[string,any,string,boolean?][]=[
+    ['Tithi', `${p.tithi.paksha} ${p.tithi.name}`, `until ${at(p.tithi.end)}`],
+    ['Vara', `${p.vara.name} (${p.vara.en})`, p.vara.fromSunrise? `until sunrise ${at(p.vara.end)}`: 'no sunrise: civil day'],
+    ['Nakshatra', `${showDevanagari?p.nakshatra.dev:p.nakshatra.name} (pada ${p.nakshatra.pada})`, `until ${at(p.nakshatra.end)}`],
+    ['Yoga', p.yoga.name, `until ${at(p.yoga.end)}`],
+    ['Karana', p.karana.name, `until ${at(p.karana.end)}`],
+    ['Hora', p.hora? `${p.hora.lord} (${p.hora.day?'day':'night'} ${p.hora.index%12+1}/12)`: '—', p.hora? `until ${at(p.hora.end)}`: ''],
+    ['Sunrise / sunset', `${at(p.sunrise)} / ${at(p.sunset)}`, `next sunrise ${at(p.nextSunrise)}`],
+    ['Moonrise', p.moonrise? at(p.moonrise): 'none before next sunrise', ''],
+    ['Rahu Kaal', span(p.rahuKaal), '', now(p.rahuKaal)],
+    ['Yamaganda', span(p.yamaganda), '', now(p.yamaganda)],
+    ['Gulika Kaal', span(p.gulika), '', now(p.gulika)],
+  ];
+  return (
+    <div className="mb-4 p-3 bg-slate-50 rounded-xl border">
+      <div className="flex items-center gap-3 flex-wrap text-sm mb-2">
+        <span className="font-semibold text-slate-700">Panchang</span>
+        <span className="text-xs text-slate-500">{formatInZone(date,zone,lon,{dateStyle:'full',timeStyle:'short'})} • {Number(lat).toFixed(2)}°, {Number(lon).toFixed(2)}° • sidereal limbs, day from sunrise</span>
       </div>
+      <dl className="grid grid-cols-2 md:grid-cols-4 gap-x-4 gap-y-2 text-sm">
+        {items.map(([label,value,sub,active])=>(
+          <div key={label} className={`px-2 py-1 rounded ${active?'bg-amber-100':''}`}>
+            <dt className="text-xs text-slate-500">{label}{active?' • now':''}</dt>
+            <dd className="font-semibold text-slate-800">{value}</dd>
+            {sub && <dd className="text-xs text-slate-600">{sub}</dd>}
+          </div>
+        ))}
+      </dl>
+    </div>
+  );
+}
+
+/* ---------------- Event finder panel ---------------- */
+function EventFinder({ bodies, start, end, zodiacOffset, zone, lon, date, onJump }){
+  const [types,setTypes]=useState<Record<string,boolean>>({ ingress:true, nakshatra:true, pada:false, station:true, conjunction:true, lunation:true });
+  const [events,setEvents]=useState<any[]|null>(null);
+  const [busy,setBusy]=useState(false);
+  const [progress,setProgress]=useState(0);
+  const [error,setError]=useState('');
+  // One scan window per macrotask so the page keeps painting; a newer run, changed inputs or unmount abandon the previous scan.
+  const runRef=useRef(0);
+  useEffect(()=>()=>{ runRef.current++; },[]);
+  // Results belong to the range, bodies and settings they were found with; drop them when any of those change.
+  useEffect(()=>{ runRef.current++; setEvents(null); setBusy(false); setError(''); },[start.getTime(),end.getTime(),bodies,zodiacOffset,types]);
+  const run=()=>{ const id=++runRef.current, scan=scanEvents(bodies,start,end,zodiacOffset,types); let found:any[]=[]; setBusy(true); setProgress(0); setError('');
+    const next=()=>{ if(id!==runRef.current) return; let r;
+      try{ r=scan.next(); }catch(e:any){ setBusy(false); setEvents(null); setError(`Event search failed: ${e.message||e}`); return; }
+      if(r.done){ setEvents(found); setBusy(false); } else { found=r.value.events; setProgress(r.value.progress); setTimeout(next,0); } };
+    setTimeout(next,0); };
+  const fmt={dateStyle:'medium',timeStyle:'short'};
+  const nextIdx=events? events.findIndex((e:any)=>e.time.getTime()>=date.getTime()): -1;
+  return (
+    <div className="mb-4 p-3 bg-slate-50 rounded-xl border">
+      <div className="flex items-center gap-3 flex-wrap text-sm">
+        <span className="font-semibold text-slate-700">Events</span>
+        {EVENT_TYPES.map(t=> <label key={t.id} className="flex items-center gap-1"><input type="checkbox" checked={!!types[t.id]} onChange={e=>setTypes(v=>({ ...v, [t.id]:e.target.checked }))}/> {t.name}</label>)}
+        <button onClick={run} disabled={busy} className="px-2 py-1 border rounded hover:bg-slate-100 disabled:opacity-50">{busy?`Searching… ${Math.round(progress*100)}%`:'Find events'}</button>
+        <span className="text-xs text-slate-500">{formatInZone(start,zone,lon,{dateStyle:'medium'})} – {formatInZone(end,zone,lon,{dateStyle:'medium'})}</span>
+      </div>
+      {error && <p className="mt-2 text-sm text-rose-600">{error}</p>}
+      {events && (events.length? (
+        <ul className="mt-2 max-h-64 overflow-y-auto text-sm divide-y">
+          {events.map((e:any,i:number)=>(
+            <li key={`ev-${i}`}><button onClick={()=>onJump(e.time)} className={`w-full text-left px-2 py-1 hover:bg-sky-50 ${i===nextIdx?'bg-amber-50':''}`}>
+              <span className="text-slate-500 mr-2">{formatInZone(e.time,zone,lon,fmt)}</span>
+              <span className="font-semibold mr-1" style={{color:e.color}}>{e.body}</span>{e.text}
+            </button></li>
+          ))}
+        </ul>
+      ) : <p className="mt-2 text-sm text-slate-500">No events of the selected kinds in this range.</p>)}
     </div>
   );
 }
@@ -185,6 +534,7 @@ function Wheel({
 export default function VedicZodiacWheel(){
   const [whenIso,setWhenIso]=useState(()=>{ const now=new Date(); const pad=(n:number)=>String(n).padStart(2,'0'); return `${now.getFullYear()}-${pad(now.getMonth()+1)}-${pad(now.getDate())}T${pad(now.getHours())}:${pad(now.getMinutes())}`; });
   const [useSidereal,setUseSidereal]=useState(true);
+  const [ayanamshaModel,setAyanamshaModel]=useState('lahiri');
   const [ayanamsha,setAyanamsha]=useState(24.1);
   const [showOuterPlanets,setShowOuterPlanets]=useState(true);
   const [showNakshatraGrid,setShowNakshatraGrid]=useState(true);
@@ -195,20 +545,54 @@ export default function VedicZodiacWheel(){
   const [labelsOutside,setLabelsOutside]=useState(true);
   const [showDevanagari,setShowDevanagari]=useState(true);
   const [showDrishti,setShowDrishti]=useState(true);
+  const [houseSystem,setHouseSystem]=useState('whole');
+  const [varga,setVarga]=useState('D1');
+  const [chartStyle,setChartStyle]=useState('circle');
+  const [showHouseDrishti,setShowHouseDrishti]=useState(false);
   const [lat,setLat]=useState(26.4499);
   const [lon,setLon]=useState(80.3319);
-
-  const baseDate=new Date(whenIso);
+  const [zone,setZone]=useState(browserZone);
+  const [placeQuery,setPlaceQuery]=useState('');
+  const [natal,setNatal]=useState<any>(null);
+  const [chartName,setChartName]=useState('');
+  const [savedCharts,setSavedCharts]=useState<any[]>(loadSavedCharts);
+  const [fileMessage,setFileMessage]=useState('');
+  const placeMatches=searchPlaces(placeQuery);
+  const zoneInfo=parseZone(zone);
+  const zoneDatalist=useMemo(()=>(<datalist id="tz-options">{ZONE_OPTIONS.map(z=> <option key={z} value={z}/>)}</datalist>),[]);
+
+  const baseDate=localToUtc(whenIso, zoneInfo? zone: 'UTC', lon);
   const [offsetHours,setOffsetHours]=useState(0);
   const [isPlaying,setIsPlaying]=useState(false);
   const [stepHours,setStepHours]=useState(6);
   const [rangeDays,setRangeDays]=useState(90);
   const [tickMs,setTickMs]=useState(200);
   const date=new Date(baseDate.getTime()+offsetHours*3600000);
+  const finderOffset=useMemo(()=>(d:Date)=>useSidereal? ayanamshaFor(ayanamshaModel, d, ayanamsha): 0,[useSidereal,ayanamshaModel,ayanamsha]);
+  const finderBodies=useMemo(()=>[...BODIES.filter(b=>showOuterPlanets||!b.optional), ...nodeBodies(useMeanNode)],[showOuterPlanets,useMeanNode]);
 
   useEffect(()=>{ if(!isPlaying) return; const id=setInterval(()=>{ setOffsetHours(h=>{ const limit=rangeDays*24; const next=h+stepHours; if(next>limit) return -limit; if(next<-limit) return limit; return next; }); }, tickMs); return ()=>clearInterval(id); },[isPlaying,stepHours,tickMs,rangeDays]);
 
-  const AY_PRESETS=[ {name:'Lahiri (Chitra)',val:24.10}, {name:'Raman',val:22.50}, {name:'Krishnamurti',val:23.86}, {name:'Fagan/Bradley (Western sidereal)',val:24.42} ];
+  const appliedAyanamsha=ayanamshaFor(ayanamshaModel, date, ayanamsha);
+  // Pinning freezes the displayed chart as natal and moves the date inputs to "now" so the slider scrubs transits.
+  const pinNatal=()=>{ const z=zoneInfo? zone: 'UTC'; setNatal({ date, lat, lon, zone:z }); const now=new Date(); setWhenIso(new Date(now.getTime()+zoneOffsetMinutes(z,now,lon)*60000).toISOString().slice(0,16)); setOffsetHours(0); };
+  const ayanamshaLabel=AYANAMSHA_MODELS.find(m=>m.id===ayanamshaModel)?.name||'Manual';
+
+  // Chart files, share links and the saved list all round-trip through chartState()/applyChart().
+  const chartState=()=>({ app:CHART_APP, version:CHART_FILE_VERSION, name:chartName, whenIso, zone, lat, lon, offsetHours, useSidereal, ayanamshaModel, ayanamsha, useMeanNode, showOuterPlanets, showNakshatraGrid, showAspects, aspectOrb, enabledAspects, labelsOutside, showDevanagari, showDrishti, houseSystem, showHouseDrishti, varga, chartStyle, rangeDays, stepHours, natal:natal? { date:natal.date.toISOString(), lat:natal.lat, lon:natal.lon, zone:natal.zone }: null });
+  const setters:Record<string,(v:any)=>void>={ whenIso:setWhenIso, zone:setZone, lat:setLat, lon:setLon, offsetHours:setOffsetHours, useSidereal:setUseSidereal, ayanamshaModel:setAyanamshaModel, ayanamsha:setAyanamsha, useMeanNode:setUseMeanNode, showOuterPlanets:setShowOuterPlanets, showNakshatraGrid:setShowNakshatraGrid, showAspects:setShowAspects, aspectOrb:setAspectOrb, enabledAspects:setEnabledAspects, labelsOutside:setLabelsOutside, showDevanagari:setShowDevanagari, showDrishti:setShowDrishti, houseSystem:setHouseSystem, showHouseDrishti:setShowHouseDrishti, varga:setVarga, chartStyle:setChartStyle, rangeDays:setRangeDays, stepHours:setStepHours };
+  // Files without a range (or with a hand-edited offset) get the smallest range that holds the offset, so the slider can reach it.
+  const applyChart=(raw:any)=>{ const c=readChartFile(raw); for(const k of Object.keys(CHART_FIELDS)) if(k in c) setters[k](c[k]);
+    const offset=c.offsetHours??0, range=c.rangeDays??(rangeDays*24>=Math.abs(offset)? rangeDays: RANGE_DAYS.find(d=>d*24>=Math.abs(offset))??RANGE_DAYS[RANGE_DAYS.length-1]);
+    setRangeDays(range); setOffsetHours(Math.max(-range*24,Math.min(range*24,offset))); setNatal(c.natal); setChartName(c.name); setIsPlaying(false); };
+  const tryApply=(raw:any, what:string)=>{ try{ applyChart(raw); setFileMessage(`Loaded ${what}`); }catch(e:any){ setFileMessage(`Could not load ${what}: ${e.message||e}`); } };
+  const downloadJson=()=> downloadBlob(`${(chartName||'chart').replace(/[^\w.-]+/g,'_')}.json`, new Blob([JSON.stringify(chartState(),null,2)],{type:'application/json'}));
+  const importJson=(file:File|undefined)=>{ if(!file) return; file.text().then(t=>tryApply(JSON.parse(t), file.name)).catch((e:any)=>setFileMessage(`Could not read ${file.name}: ${e.message||e}`)); };
+  const copyShareLink=()=>{ const url=`${location.origin}${location.pathname}#chart=${encodeShare(chartState())}`; history.replaceState(null,'',url); (navigator.clipboard? navigator.clipboard.writeText(url): Promise.reject()).then(()=>setFileMessage('Share link copied')).catch(()=>window.prompt('Share link',url)); };
+  const saveChart=()=>{ const name=chartName.trim()||whenIso.replace('T',' '); const list=[{ name, savedAt:new Date().toISOString(), chart:{ ...chartState(), name } }, ...savedCharts.filter((c:any)=>c.name!==name)];
+    try{ storeSavedCharts(list); }catch(e:any){ setFileMessage(`Could not save “${name}”: ${e.message||e}`); return; } setSavedCharts(list); setChartName(name); setFileMessage(`Saved “${name}”`); };
+  const deleteChart=(name:string)=>{ const list=savedCharts.filter((c:any)=>c.name!==name); try{ storeSavedCharts(list); }catch(e:any){ setFileMessage(`Could not delete “${name}”: ${e.message||e}`); return; } setSavedCharts(list); };
+  useEffect(()=>{ const m=location.hash.match(/chart=([^&]+)/); if(!m) return; try{ tryApply(decodeShare(m[1]),'shared chart'); }catch{ setFileMessage('Could not decode the shared chart link'); } },[]);
 
   return (
     <ErrorBoundary>
@@ -223,9 +607,10 @@ export default function VedicZodiacWheel(){
           </label>
           <label className="flex items-center gap-2 text-sm mt-6"><input type="checkbox" checked={useSidereal} onChange={e=>setUseSidereal(e.target.checked)}/> Sidereal (apply ayanāṁśa)</label>
           <label className="text-sm"><span className="block text-slate-600 mb-1">Ayanāṁśa (°)</span>
-            <input type="number" step="0.001" value={ayanamsha} onChange={(e)=>setAyanamsha(parseFloat(e.target.value||'0'))} className="border rounded-lg px-3 py-2 w-28"/>
+            <input type="number" step="0.001" value={ayanamshaModel==='manual'?ayanamsha:Number(appliedAyanamsha.toFixed(4))} onChange={(e)=>{ setAyanamshaModel('manual'); setAyanamsha(parseFloat(e.target.value||'0')); }} className="border rounded-lg px-3 py-2 w-28"/>
           </label>
-          <div className="flex gap-2 mt-6 flex-wrap">{AY_PRESETS.map(p=> <button key={p.name} onClick={()=>setAyanamsha(p.val)} className="text-xs border rounded-full px-3 py-1 bg-slate-50 hover:bg-slate-100">{p.name}</button>)}</div>
+          <span className="text-xs text-slate-600 mt-6" title="Ayanāṁśa applied to the displayed date">Applied: {appliedAyanamsha.toFixed(4)}° ({ayanamshaLabel})</span>
+          <div className="flex gap-2 mt-6 flex-wrap">{AYANAMSHA_MODELS.map(m=> <button key={m.id} onClick={()=>setAyanamshaModel(m.id)} className={`text-xs border rounded-full px-3 py-1 ${ayanamshaModel===m.id?'bg-sky-100 border-sky-400':'bg-slate-50 hover:bg-slate-100'}`}>{m.name}</button>)}</div>
           {/* Location */}
           <div className="flex gap-3 items-end mt-2">
             <label className="text-sm"><span className="block text-slate-600 mb-1">Latitude (°)</span>
@@ -234,7 +619,33 @@ export default function VedicZodiacWheel(){
             <label className="text-sm"><span className="block text-slate-600 mb-1">Longitude (°E)</span>
               <input type="number" step="0.0001" value={lon} onChange={(e)=>setLon(parseFloat(e.target.value||'0'))} className="border rounded-lg px-3 py-2 w-32"/>
             </label>
+            <label className="text-sm"><span className="block text-slate-600 mb-1">Time zone</span>
+              <input list="tz-options" value={zone} onChange={(e)=>setZone(e.target.value)} placeholder="Asia/Kolkata, +05:30 or LMT" className={`border rounded-lg px-3 py-2 w-48 ${zoneInfo?'':'border-rose-400 bg-rose-50'}`}/>
+              {zoneDatalist}
+            </label>
+            <div className="relative text-sm"><span className="block text-slate-600 mb-1">Place</span>
+              <input value={placeQuery} onChange={(e)=>setPlaceQuery(e.target.value)} placeholder="Search city…" className="border rounded-lg px-3 py-2 w-48"/>
+              {placeMatches.length>0 && (<ul className="absolute z-10 mt-1 w-72 bg-white border rounded-lg shadow text-sm">
+                {placeMatches.map(p=> <li key={`${p.name}-${p.region}`}><button onClick={()=>{ setLat(p.lat); setLon(p.lon); setZone(p.tz); setPlaceQuery(''); }} className="w-full text-left px-3 py-1 hover:bg-slate-100">{p.name} <span className="text-slate-500">{p.region} • {p.tz}</span></button></li>)}
+              </ul>)}
+            </div>
           </div>
+          <div className="text-xs text-slate-600 mt-2 w-full">{zoneInfo? <>Birth time {whenIso.replace('T',' ')} at UTC{formatOffset(zoneOffsetMinutes(zone,baseDate,lon))}{zoneInfo.kind==='lmt'?' (local mean time)':''} = {formatUT(baseDate)}</> : <span className="text-rose-600">Unknown time zone “{zone}” — using UTC</span>}</div>
+        </div>
+
+        {/* Chart file: JSON, share link, saved charts */}
+        <div className="flex flex-wrap items-center gap-2 mb-4 text-sm">
+          <input value={chartName} onChange={(e)=>setChartName(e.target.value)} placeholder="Chart name / client" className="border rounded-lg px-3 py-1 w-48"/>
+          <button onClick={saveChart} className="px-2 py-1 border rounded hover:bg-slate-100">Save</button>
+          <button onClick={downloadJson} className="px-2 py-1 border rounded hover:bg-slate-100">Download JSON</button>
+          <label className="px-2 py-1 border rounded hover:bg-slate-100 cursor-pointer">Import JSON<input type="file" accept="application/json,.json" className="hidden" onChange={(e)=>{ importJson(e.target.files?.[0]); e.target.value=''; }}/></label>
+          <button onClick={copyShareLink} className="px-2 py-1 border rounded hover:bg-slate-100">Copy share link</button>
+          {savedCharts.length>0 && (<select value="" onChange={(e)=>{ const c=savedCharts.find((x:any)=>x.name===e.target.value); if(c) tryApply(c.chart,`“${c.name}”`); }} className="border rounded px-2 py-1">
+            <option value="">Saved charts ({savedCharts.length})…</option>
+            {savedCharts.map((c:any)=> <option key={c.name} value={c.name}>{c.name}</option>)}
+          </select>)}
+          {savedCharts.some((c:any)=>c.name===chartName) && <button onClick={()=>deleteChart(chartName)} className="px-2 py-1 border rounded text-rose-700 hover:bg-rose-50">Delete “{chartName}”</button>}
+          {fileMessage && <span className="text-xs text-slate-600">{fileMessage}</span>}
         </div>
 
         {/* Time scrubbing */}
@@ -244,24 +655,44 @@ export default function VedicZodiacWheel(){
             <button onClick={()=>setIsPlaying(p=>!p)} className="px-2 py-1 text-sm border rounded hover:bg-slate-100">{isPlaying?'Pause':'Play'}</button>
             <button onClick={()=>setOffsetHours(h=>h+stepHours)} className="px-2 py-1 text-sm border rounded hover:bg-slate-100">▶︎</button>
             <button onClick={()=>setOffsetHours(0)} className="px-2 py-1 text-sm border rounded hover:bg-slate-100">Reset</button>
+            {natal
+              ? <button onClick={()=>setNatal(null)} className="px-2 py-1 text-sm border rounded bg-violet-50 hover:bg-violet-100">Unpin natal ({formatInZone(natal.date,natal.zone,natal.lon,{dateStyle:'medium',timeStyle:'short'})})</button>
+              : <button onClick={pinNatal} className="px-2 py-1 text-sm border rounded hover:bg-slate-100">Pin as natal</button>}
             <span className="mx-2 text-slate-600 text-sm">Step</span>
-            <select value={stepHours} onChange={e=>setStepHours(parseInt(e.target.value))} className="border rounded px-2 py-1 text-sm">{[1,3,6,12,24].map(h=> <option key={h} value={h}>{h}h</option>)}</select>
+            <select value={stepHours} onChange={e=>setStepHours(parseInt(e.target.value))} className="border rounded px-2 py-1 text-sm">{STEP_HOURS.map(h=> <option key={h} value={h}>{h}h</option>)}</select>
             <span className="mx-2 text-slate-600 text-sm">Range</span>
-            <select value={rangeDays} onChange={e=>setRangeDays(parseInt(e.target.value))} className="border rounded px-2 py-1 text-sm">{[30,90,180,365].map(d=> <option key={d} value={d}>{d}d</option>)}</select>
+            <select value={rangeDays} onChange={e=>setRangeDays(parseInt(e.target.value))} className="border rounded px-2 py-1 text-sm">{RANGE_DAYS.map(d=> <option key={d} value={d}>{d}d</option>)}</select>
             <span className="mx-2 text-slate-600 text-sm">Speed</span>
             <select value={tickMs} onChange={e=>setTickMs(parseInt(e.target.value))} className="border rounded px-2 py-1 text-sm"><option value={50}>fast</option><option value={200}>normal</option><option value={500}>slow</option></select>
           </div>
-          <input type="range" min={-rangeDays*24} max={rangeDays*24} step={1} value={offsetHours} onChange={(e)=>setOffsetHours(parseInt(e.target.value))} className="w-full mt-3"/>
-          <div className="text-xs text-slate-600 mt-1">Base: {new Intl.DateTimeFormat(undefined,{dateStyle:'medium',timeStyle:'short'}).format(baseDate)} • Offset: {offsetHours}h • Showing: {new Intl.DateTimeFormat(undefined,{dateStyle:'medium',timeStyle:'short'}).format(date)}</div>
+          <input type="range" min={-rangeDays*24} max={rangeDays*24} step={1/60} value={offsetHours} onChange={(e)=>setOffsetHours(parseFloat(e.target.value))} className="w-full mt-3"/>
+          <div className="text-xs text-slate-600 mt-1">Base: {formatInZone(baseDate,zone,lon,{dateStyle:'medium',timeStyle:'short'})} • Offset: {Number.isInteger(offsetHours)?offsetHours:offsetHours.toFixed(2)}h • Showing: {formatInZone(date,zone,lon,{dateStyle:'medium',timeStyle:'short'})} ({formatUT(date)})</div>
         </div>
 
+        <PanchangPanel date={date} lat={lat} lon={lon} zone={zoneInfo? zone: 'UTC'} ayanamshaDeg={appliedAyanamsha} showDevanagari={showDevanagari}/>
+
+        <EventFinder
+          bodies={finderBodies}
+          start={new Date(baseDate.getTime()-rangeDays*86400000)}
+          end={new Date(baseDate.getTime()+rangeDays*86400000)}
+          zodiacOffset={finderOffset}
+          zone={zoneInfo? zone: 'UTC'}
+          lon={lon}
+          date={date}
+          onJump={(t:Date)=>{ setIsPlaying(false); setOffsetHours((t.getTime()-baseDate.getTime())/3600000); }}
+        />
+
         {/* Feature toggles */}
         <div className="flex flex-wrap gap-4 mb-4 text-sm">
           <label className="flex items-center gap-2"><input type="checkbox" checked={showOuterPlanets} onChange={e=>setShowOuterPlanets(e.target.checked)}/> Show Uranus/Neptune/Pluto</label>
           <label className="flex items-center gap-2"><input type="checkbox" checked={showNakshatraGrid} onChange={e=>setShowNakshatraGrid(e.target.checked)}/> Show Nakshatra grid</label>
           <label className="flex items-center gap-2"><input type="checkbox" checked={showAspects} onChange={e=>setShowAspects(e.target.checked)}/> Show geometric aspects</label>
           <label className="flex items-center gap-2"><input type="checkbox" checked={showDrishti} onChange={e=>setShowDrishti(e.target.checked)}/> Show drishti (Vedic)</label>
-          <label className="flex items-center gap-2"><input type="checkbox" checked={useMeanNode} onChange={e=>setUseMeanNode(e.target.checked)}/> Mean node Rahu/Ketu</label>
+          {showDrishti && (<label className="flex items-center gap-2"><input type="checkbox" checked={showHouseDrishti} onChange={e=>setShowHouseDrishti(e.target.checked)}/> Drishti to empty houses</label>)}
+          <label className="flex items-center gap-2">Style <select value={chartStyle} onChange={e=>setChartStyle(e.target.value)} className="border rounded px-2 py-1">{CHART_STYLES.map(c=> <option key={c.id} value={c.id}>{c.name}</option>)}</select></label>
+          <label className="flex items-center gap-2">Chart <select value={varga} onChange={e=>setVarga(e.target.value)} className="border rounded px-2 py-1">{VARGAS.map(v=> <option key={v.id} value={v.id}>{v.id} {v.name}</option>)}</select></label>
+          <label className="flex items-center gap-2">Houses <select value={houseSystem} onChange={e=>setHouseSystem(e.target.value)} className="border rounded px-2 py-1">{HOUSE_SYSTEMS.map(h=> <option key={h.id} value={h.id}>{h.name}</option>)}</select></label>
+          <label className="flex items-center gap-2">Rahu/Ketu <select value={useMeanNode?'mean':'true'} onChange={e=>setUseMeanNode(e.target.value==='mean')} className="border rounded px-2 py-1"><option value="mean">Mean node</option><option value="true">True node</option></select></label>
           {showAspects && (<label className="flex items-center gap-2">Orb <input type="number" min={0} max={10} step={0.5} value={aspectOrb} onChange={(e)=>setAspectOrb(parseFloat(e.target.value||'0'))} className="border rounded px-2 py-1 w-20"/>°</label>)}
         </div>
 
@@ -272,8 +703,8 @@ export default function VedicZodiacWheel(){
         </div>
 
         <Wheel
-          date={date}
-          ayanamshaDeg={ayanamsha}
+          date={natal? natal.date: date}
+          ayanamshaDeg={natal? ayanamshaFor(ayanamshaModel, natal.date, ayanamsha): appliedAyanamsha}
           useSidereal={useSidereal}
           showOuterPlanets={showOuterPlanets}
           showNakshatraGrid={showNakshatraGrid}
@@ -284,8 +715,19 @@ export default function VedicZodiacWheel(){
           labelsOutside={labelsOutside}
           showDevanagari={showDevanagari}
           showDrishti={showDrishti}
-          lat={lat}
-          lon={lon}
+          houseSystem={houseSystem}
+          showHouseDrishti={showHouseDrishti}
+          varga={varga}
+          onSelectVarga={setVarga}
+          onMessage={setFileMessage}
+          chartStyle={chartStyle}
+          lat={natal? natal.lat: lat}
+          lon={natal? natal.lon: lon}
+          zone={natal? natal.zone: (zoneInfo? zone: 'UTC')}
+          birthDate={natal? natal.date: baseDate}
+          birthAyanamshaDeg={ayanamshaFor(ayanamshaModel, natal? natal.date: baseDate, ayanamsha)}
+          transitDate={natal? date: undefined}
+          transitAyanamshaDeg={appliedAyanamsha}
         />
       </div>
     </ErrorBoundary>
@@ -0,0 +1,453 @@
+/* =============================================================
+   Vedic chart engine — framework-free (browser + Node)
+   - Ephemeris, nodes, ayanamsha, ascendant/MC/houses
+   - Vargas, Vimshottari dasha, drishti, transits, event search
+   - Dignity, combustion, graha yuddha, Shadbala, Ashtakavarga
+   - Panchang: tithi, vara, nakshatra, yoga, karana, rise/set, kaal periods, hora
+   - Time zones (IANA / fixed offset / LMT)
+   - computeChart(): birth data + options → plain chart object
+   ============================================================= */
+
+import * as Astronomy from 'astronomy-engine';
+
+/* ---------------- Helpers ---------------- */
+export const DEG2RAD = Math.PI/180;
+export const norm360 = (d)=>{ let x=d%360; if(x<0)x+=360; return x>=360? 0: x; }; // -1e-15+360 rounds to 360
+
+export const SIGNS = [
+  { name:'Aries',short:'\u092e\u0947\u0937' },{ name:'Taurus',short:'\u0935\u0943\u0937\u092d' },{ name:'Gemini',short:'\u092e\u093f\u0925\u0941\u0928' },{ name:'Cancer',short:'\u0915\u0930\u094d\u0915' },
+  { name:'Leo',short:'\u0938\u093f\u0902\u0939' },{ name:'Virgo',short:'\u0915\u0928\u094d\u092f\u093e' },{ name:'Libra',short:'\u0924\u0941\u0932\u093e' },{ name:'Scorpio',short:'\u0935\u0943\u0936\u094d\u091a\u093f\u0915' },
+  { name:'Sagittarius',short:'\u0927\u0928\u0941' },{ name:'Capricorn',short:'\u092e\u0915\u0930' },{ name:'Aquarius',short:'\u0915\u0941\u0902\u092d' },{ name:'Pisces',short:'\u092e\u0940\u0928' }
+];
+
+export const NAKSHATRAS = [
+  { en:'Ashwini',dev:'\u0905\u0936\u094d\u0935\u093f\u0928\u0940' },{ en:'Bharani',dev:'\u092d\u0930\u0923\u0940' },{ en:'Krittika',dev:'\u0915\u0943\u0924\u094d\u0924\u093f\u0915\u093e' },{ en:'Rohini',dev:'\u0930\u094b\u0939\u093f\u0923\u0940' },
+  { en:'Mrigashira',dev:'\u092e\u0943\u0917\u0936\u0940\u0930\u094d\u0937\u093e' },{ en:'Ardra',dev:'\u0906\u0930\u094d\u0926\u094d\u0930\u093e' },{ en:'Punarvasu',dev:'\u092a\u0941\u0928\u0930\u094d\u0935\u0938\u0941' },{ en:'Pushya',dev:'\u092a\u0941\u0937\u094d\u092f' },
+  { en:'Ashlesha',dev:'\u0906\u0936\u094d\u0932\u0947\u0937\u093e' },{ en:'Magha',dev:'\u092e\u0918\u093e' },{ en:'Purva Phalguni',dev:'\u092a\u0942\u0930\u094d\u0935\u092b\u0932\u094d\u0917\u0941\u0928\u0940' },{ en:'Uttara Phalguni',dev:'\u0909\u0924\u094d\u0924\u0930\u092b\u0932\u094d\u0917\u0941\u0928\u0940' },
+  { en:'Hasta',dev:'\u0939\u0938\u094d\u0924' },{ en:'Chitra',dev:'\u091a\u093f\u0924\u094d\u0930\u093e' },{ en:'Swati',dev:'\u0938\u094d\u0935\u093e\u0924\u0940' },{ en:'Vishakha',dev:'\u0935\u093f\u0936\u093e\u0916\u093e' },
+  { en:'Anuradha',dev:'\u0905\u0928\u0941\u0930\u093e\u0927\u093e' },{ en:'Jyeshtha',dev:'\u091c\u094d\u092f\u0947\u0937\u094d\u0920\u093e' },{ en:'Mula',dev:'\u092e\u0942\u0932\u093e' },{ en:'Purva Ashadha',dev:'\u092a\u0942\u0930\u094d\u0935\u093e\u0937\u093e\u0922\u093c\u093e' },
+  { en:'Uttara Ashadha',dev:'\u0909\u0924\u094d\u0924\u0930\u093e\u0937\u093e\u0922\u093c\u093e' },{ en:'Shravana',dev:'\u0936\u094d\u0930\u0935\u0923' },{ en:'Dhanishta',dev:'\u0927\u0928\u093f\u0937\u094d\u091f\u093e' },{ en:'Shatabhisha',dev:'\u0936\u0924\u092d\u093f\u0937\u093e' },
+  { en:'Purva Bhadrapada',dev:'\u092a\u0942\u0930\u094d\u0935\u092d\u093e\u0926\u094d\u0930\u092a\u0926\u093e' },{ en:'Uttara Bhadrapada',dev:'\u0909\u0924\u094d\u0924\u0930\u092d\u093e\u0926\u094d\u0930\u092a\u0926\u093e' },{ en:'Revati',dev:'\u0930\u0947\u0935\u0924\u0940' }
+];
+export const NAK_SIZE = 360/27, PADA_SIZE = NAK_SIZE/4;
+export const nakshatraOf = (sid)=>{ const lon=norm360(sid), idx=Math.floor(lon/NAK_SIZE); const within=lon-idx*NAK_SIZE; const pada=Math.floor(within/PADA_SIZE)+1; const item=NAKSHATRAS[idx]; return { index:idx, name:item.en, dev:item.dev, pada }; };
+export const zodiacBreakdown = (lonDeg)=>{ const lon=norm360(lonDeg), signIndex=Math.floor(lon/30), inSign=lon%30; const d=Math.floor(inSign), m=Math.floor((inSign-d)*60); return { signIndex, sign:SIGNS[signIndex].name, signGlyph:SIGNS[signIndex].short, deg:d, min:m, raw:lon }; };
+export const meanLunarNodeLongitude = (date)=>{ const JD=date.getTime()/86400000+2440587.5; const T=(JD-2451545)/36525; const omega=125.04455501-1934.13626197*T+0.0020762*T*T+(T*T*T)/467410-(T*T*T*T)/60616000; return norm360(omega); };
+// True (osculating) node: ascending node of the Moon's instantaneous orbit, from its geocentric state on the ecliptic of date
+export const trueLunarNodeLongitude = (date)=>{ const s=Astronomy.RotateState(Astronomy.Rotation_EQJ_ECT(date),Astronomy.GeoMoonState(date)); const hx=s.y*s.vz-s.z*s.vy, hy=s.z*s.vx-s.x*s.vz; return norm360(Math.atan2(hx,-hy)/DEG2RAD); };
+export const signedDelta = (a,b)=>{ let d=norm360(a-b); if(d>180) d-=360; return d; };
+
+/* --------------- Ayanamsha models --------------- */
+// Each model is its mean ayanamsha at J2000.0 carried forward by IAU 2006 general precession in longitude (p_A).
+export const AYANAMSHA_MODELS = [
+  { id:'lahiri',name:'Lahiri (Chitra)',j2000:23.857092 },{ id:'raman',name:'Raman',j2000:22.410791 },{ id:'kp',name:'Krishnamurti',j2000:23.760240 },{ id:'fagan',name:'Fagan/Bradley (Western sidereal)',j2000:24.740300 }
+];
+export const generalPrecessionDeg = (date)=>{ const T=(date.getTime()/86400000+2440587.5-2451545)/36525; return (5028.796195*T+1.1054348*T*T+0.00007964*T*T*T-0.000023857*T*T*T*T)/3600; };
+export const ayanamshaFor = (modelId, date, manualDeg)=>{ const m=AYANAMSHA_MODELS.find(x=>x.id===modelId); return m? m.j2000+generalPrecessionDeg(date): manualDeg; };
+
+/* --------------- Time zones --------------- */
+// Zone field: an IANA name (historical DST/LMT from the platform tz database), a fixed offset such as "+05:30" / "UTC-4", or "LMT" (from longitude).
+export function parseZone(zone){
+  const z=String(zone||'').trim(); if(!z) return null;
+  if(/^lmt$/i.test(z)) return { kind:'lmt' };
+  if(/^(utc|gmt|z)$/i.test(z)) return { kind:'fixed', minutes:0 };
+  const m=z.match(/^(?:utc|gmt)?\s*([+-])(\d{1,2})(?::?(\d{2}))?$/i); if(m){ const mins=parseInt(m[2])*60+parseInt(m[3]||'0'); return mins<=14*60? { kind:'fixed', minutes:(m[1]==='-'?-1:1)*mins }: null; }
+  try{ new Intl.DateTimeFormat('en-US',{timeZone:z}); return { kind:'iana', name:z }; }catch{ return null; }
+}
+export function zoneOffsetMinutes(zone, utc, longitudeDeg){
+  const z=parseZone(zone); if(!z) return 0; if(z.kind==='lmt') return (Number(longitudeDeg)||0)*4; if(z.kind==='fixed') return z.minutes;
+  const parts=Object.fromEntries(new Intl.DateTimeFormat('en-US',{timeZone:z.name,hourCycle:'h23',era:'short',year:'numeric',month:'2-digit',day:'2-digit',hour:'2-digit',minute:'2-digit',second:'2-digit'}).formatToParts(utc).map(p=>[p.type,p.value]));
+  const year=/^B/i.test(parts.era||'')? 1-Number(parts.year): Number(parts.year); const wall=new Date(0); wall.setUTCFullYear(year,Number(parts.month)-1,Number(parts.day)); wall.setUTCHours(Number(parts.hour),Number(parts.minute),Number(parts.second),0);
+  return (wall.getTime()-Math.floor(utc.getTime()/1000)*1000)/60000;
+}
+// Wall-clock "YYYY-MM-DDTHH:MM[:SS]" in the given zone → UT instant. Two passes settle DST transitions (times in a spring-forward gap move forward).
+export function localToUtc(whenIso, zone, longitudeDeg){
+  const m=String(whenIso||'').match(/^(-?\d{1,6})-(\d{2})-(\d{2})T(\d{2}):(\d{2})(?::(\d{2}))?/); if(!m) return new Date(NaN);
+  const wall=new Date(0); wall.setUTCFullYear(Number(m[1]),Number(m[2])-1,Number(m[3])); wall.setUTCHours(Number(m[4]),Number(m[5]),Number(m[6]||0),0);
+  let t=wall.getTime()-zoneOffsetMinutes(zone,wall,longitudeDeg)*60000; t=wall.getTime()-zoneOffsetMinutes(zone,new Date(t),longitudeDeg)*60000; return new Date(t);
+}
+export const formatOffset = (minutes)=>{ const sign=minutes<0?'-':'+', total=Math.round(Math.abs(minutes)*60), h=Math.floor(total/3600), m=Math.floor(total%3600/60), sec=total%60; return `${sign}${String(h).padStart(2,'0')}:${String(m).padStart(2,'0')}${sec?':'+String(sec).padStart(2,'0'):''}`; };
+export function formatInZone(date, zone, longitudeDeg, opts){
+  const z=parseZone(zone); if(z&&z.kind==='iana') return new Intl.DateTimeFormat(undefined,{...opts,timeZone:z.name}).format(date);
+  const off=zoneOffsetMinutes(zone,date,longitudeDeg); return `${new Intl.DateTimeFormat(undefined,{...opts,timeZone:'UTC'}).format(new Date(date.getTime()+off*60000))} (UTC${formatOffset(off)})`;
+}
+export const formatUT = (date)=> isNaN(date.getTime())? '—': `${date.toISOString().replace('T',' ').slice(0,19)} UT`;
+
+/* --------------- ASC (numeric) --------------- */
+function lstRadians(date, longitudeDeg){ try{ const sth=Astronomy.SiderealTime(date); let lstDeg=sth*15+(Number(longitudeDeg)||0); lstDeg=((lstDeg%360)+360)%360; return lstDeg*DEG2RAD; }catch{return 0;} }
+export function obliquityDeg(date){ try{ const tilt=Astronomy.e_tilt(Astronomy.MakeTime(date))||{}; if(Number.isFinite(tilt.tobl)) return tilt.tobl; }catch{} return 23.4392911; }
+export function computeAscendantDeg(date, latitudeDeg, longitudeDeg){
+  const φ=Math.max(-89.9999,Math.min(89.9999,Number(latitudeDeg)||0))*DEG2RAD; const θ=lstRadians(date, Number(longitudeDeg)||0);
+  const epsDeg=obliquityDeg(date);
+  const ε=epsDeg*DEG2RAD, sinε=Math.sin(ε), cosε=Math.cos(ε), sinφ=Math.sin(φ), cosφ=Math.cos(φ);
+  function altAz(λdeg){ const λ=λdeg*DEG2RAD, sinλ=Math.sin(λ), cosλ=Math.cos(λ); const α=Math.atan2(sinλ*cosε,cosλ), δ=Math.asin(sinλ*sinε); let H=θ-α; H=Math.atan2(Math.sin(H),Math.cos(H)); const sinδ=Math.sin(δ), cosδ=Math.cos(δ); const sinAlt=sinφ*sinδ+cosφ*cosδ*Math.cos(H); const alt=Math.asin(Math.max(-1,Math.min(1,sinAlt))); const cosAlt=Math.max(1e-12,Math.sqrt(Math.max(0,1-sinAlt*sinAlt))); const sinAz=-Math.sin(H)*cosδ/cosAlt; const cosAz=(sinδ-sinAlt*sinφ)/(cosAlt*cosφ); let A=Math.atan2(sinAz,cosAz)/DEG2RAD; A=((A%360)+360)%360; return {alt,az:A}; }
+  const roots=[]; let prev=altAz(0), prevAlt=prev.alt; for(let L=5;L<=360;L+=5){ const cur=altAz(L), curAlt=cur.alt; if((prevAlt<=0&&curAlt>=0)||(prevAlt>=0&&curAlt<=0)){ let a=L-5,b=L,fa=altAz(a).alt,fb=altAz(b).alt; for(let k=0;k<30;k++){ const m=0.5*(a+b), fm=altAz(m).alt; if(fa*fm<=0){ b=m; fb=fm; } else { a=m; fa=fm; } } const mid=0.5*(a+b), atMid=altAz(mid); roots.push({lambda:mid, az:atMid.az}); } prevAlt=curAlt; }
+  if(!roots.length) return 0; roots.sort((r1,r2)=>Math.abs(r1.az-90)-Math.abs(r2.az-90)); return norm360(roots[0].lambda);
+}
+
+/* --------------- MC & houses --------------- */
+// Ecliptic longitude of the point with right ascension α (β=0); α=RAMC gives the MC.
+const eclipticFromRA = (αdeg, epsDeg)=> norm360(Math.atan2(Math.sin(αdeg*DEG2RAD),Math.cos(αdeg*DEG2RAD)*Math.cos(epsDeg*DEG2RAD))/DEG2RAD);
+export function computeMidheavenDeg(date, longitudeDeg){ return eclipticFromRA(lstRadians(date, Number(longitudeDeg)||0)/DEG2RAD, obliquityDeg(date)); }
+
+export const HOUSE_SYSTEMS = [ {id:'whole',name:'Whole sign'},{id:'equal',name:'Equal'},{id:'sripati',name:'Sripati'},{id:'porphyry',name:'Porphyry'},{id:'placidus',name:'Placidus'} ];
+// Placidus: cusps 11/12 and 2/3 trisect the semi-diurnal/nocturnal arcs of their own declination. Null above the polar circles.
+function placidusCusps(ascDeg, mcDeg, ramcDeg, latitudeDeg, epsDeg){
+  const tanφ=Math.tan(Math.max(-89.9999,Math.min(89.9999,latitudeDeg))*DEG2RAD), sinε=Math.sin(epsDeg*DEG2RAD);
+  const solve=(arc)=>{ let λ=eclipticFromRA(ramcDeg+arc(90),epsDeg); for(let k=0;k<60;k++){ const δ=Math.asin(sinε*Math.sin(λ*DEG2RAD)); const x=-tanφ*Math.tan(δ); if(Math.abs(x)>1) return null; const next=eclipticFromRA(ramcDeg+arc(Math.acos(x)/DEG2RAD),epsDeg); if(Math.abs(signedDelta(next,λ))<1e-7) return next; λ=next; } return λ; };
+  const c11=solve(sda=>sda/3), c12=solve(sda=>2*sda/3), c2=solve(sda=>sda+(180-sda)/3), c3=solve(sda=>sda+2*(180-sda)/3);
+  if([c11,c12,c2,c3].some(c=>c===null)) return null;
+  const c=[ascDeg,c2,c3,norm360(mcDeg+180),norm360(c11+180),norm360(c12+180),norm360(ascDeg+180),norm360(c2+180),norm360(c3+180),mcDeg,c11,c12];
+  return c.map(x=>norm360(x));
+}
+// Returns 12 cusp longitudes (house 1 first) in the displayed zodiac; zodiacOffset is the ayanamsha applied (0 when tropical).
+export function houseCusps(system, date, latitudeDeg, longitudeDeg, zodiacOffset){
+  const ascT=computeAscendantDeg(date, latitudeDeg, longitudeDeg), mcT=computeMidheavenDeg(date, longitudeDeg), asc=norm360(ascT-zodiacOffset), mc=norm360(mcT-zodiacOffset);
+  if(system==='whole'){ const s0=Math.floor(asc/30)*30; return { cusps:Array.from({length:12},(_,i)=>norm360(s0+i*30)), asc, mc, system }; }
+  if(system==='equal') return { cusps:Array.from({length:12},(_,i)=>norm360(asc+i*30)), asc, mc, system };
+  if(system==='placidus'){ const ramc=lstRadians(date, Number(longitudeDeg)||0)/DEG2RAD; const c=placidusCusps(ascT, mcT, ramc, Number(latitudeDeg)||0, obliquityDeg(date)); if(c) return { cusps:c.map(x=>norm360(x-zodiacOffset)), asc, mc, system }; }
+  // Porphyry: trisect each quadrant between the angles. Sripati takes the midpoints of the Porphyry cusps (bhava madhya → sandhi).
+  const ic=norm360(mc+180), dsc=norm360(asc+180); const q=[asc,ic,dsc,mc]; const por=[];
+  for(let k=0;k<4;k++){ const a=q[k], span=norm360(q[(k+1)%4]-a); por.push(a, norm360(a+span/3), norm360(a+2*span/3)); }
+  const cusps=system==='sripati'? por.map((c,i)=>norm360(c-norm360(c-por[(i+11)%12])/2)) : por;
+  return { cusps, asc, mc, system:system==='placidus'?'porphyry':system };
+}
+export const houseOf = (lonDeg, cusps)=>{ for(let i=0;i<12;i++){ const span=norm360(cusps[(i+1)%12]-cusps[i]); if(norm360(lonDeg-cusps[i])<span) return i+1; } return 1; };
+export const houseMid = (house, cusps)=>{ const a=cusps[house-1]; return norm360(a+norm360(cusps[house%12]-a)/2); };
+
+/* --------------- Ephemeris --------------- */
+export const BODIES = [
+  { key:'Sun',body:Astronomy.Body.Sun,color:'#ffb703' },{ key:'Moon',body:Astronomy.Body.Moon,color:'#8ecae6' },{ key:'Mercury',body:Astronomy.Body.Mercury,color:'#adb5bd' },{ key:'Venus',body:Astronomy.Body.Venus,color:'#ffafcc' },{ key:'Mars',body:Astronomy.Body.Mars,color:'#e63946' },{ key:'Jupiter',body:Astronomy.Body.Jupiter,color:'#ffd166' },{ key:'Saturn',body:Astronomy.Body.Saturn,color:'#cdb4db' },{ key:'Uranus',body:Astronomy.Body.Uranus,color:'#94d2bd',optional:true },{ key:'Neptune',body:Astronomy.Body.Neptune,color:'#90caf9',optional:true },{ key:'Pluto',body:Astronomy.Body.Pluto,color:'#bfb8da',optional:true }
+];
+export const ABBR = { Sun:'Su',Moon:'Mo',Mercury:'Me',Venus:'Ve',Mars:'Ma',Jupiter:'Ju',Saturn:'Sa',Uranus:'Ur',Neptune:'Ne',Pluto:'Pl','Rahu (Mean)':'Ra','Ketu (Mean)':'Ke','Rahu (True)':'Ra','Ketu (True)':'Ke' };
+// Parāśari drishti rules (sign-based distances counted from aspector's sign)
+export const DRISHTI = { Sun:[7],Moon:[7],Mercury:[7],Venus:[7],Mars:[4,7,8],Jupiter:[5,7,9],Saturn:[3,7,10],Uranus:[7],Neptune:[7],Pluto:[7],'Rahu (Mean)':[5,7,9],'Ketu (Mean)':[5,7,9],'Rahu (True)':[5,7,9],'Ketu (True)':[5,7,9] };
+
+/* --------------- Transit contacts --------------- */
+export const ASPECT_NAMES = { 0:'Conjunction',60:'Sextile',90:'Square',120:'Trine',180:'Opposition' };
+export const ordinal = (n)=> `${n}${n===1?'st':n===2?'nd':n===3?'rd':'th'}`;
+// Transit → natal contacts: sign-based drishti counted from the transiting graha, plus geometric aspects within orb.
+export function transitContacts(transits, natals, enabledAspects, orb){
+  const enabled=Object.keys(enabledAspects).filter(k=>enabledAspects[+k]).map(k=>parseFloat(k)); const out=[];
+  for(const t of transits){ const tSign=Math.floor(norm360(t.lon)/30), rules=DRISHTI[t.key]||[7];
+    for(const n of natals){
+      const dist=((Math.floor(norm360(n.lon)/30)-tSign+12)%12)+1; if(rules.includes(dist)) out.push({ transit:t, natal:n, kind:'drishti', label:`${ordinal(dist)} drishti` });
+      const ang=Math.min(norm360(t.lon-n.lon),norm360(n.lon-t.lon)); for(const a of enabled){ const d=Math.abs(ang-a); if(d<=orb) out.push({ transit:t, natal:n, kind:'aspect', label:ASPECT_NAMES[a]||`${a}°`, orb:d }); }
+    }
+  }
+  return out;
+}
+
+export function planetLongitudes(date, useMeanNode){
+  const results=[]; for(const item of BODIES){ const vec=Astronomy.GeoVector(item.body,date,true); const ecl=Astronomy.Ecliptic(vec); results.push({ key:item.key,color:item.color,body:item.body,elon:norm360(ecl.elon),optional:!!item.optional }); }
+  const [rahu,ketu]=nodeBodies(useMeanNode), elon=nodeLongitude(date,rahu.nodeModel); results.push({ ...rahu, elon }, { ...ketu, elon:norm360(elon+180) });
+  return results;
+}
+// Rahu/Ketu as body descriptors (no longitude), for callers that only need the body list, e.g. the event finder.
+export function nodeBodies(useMeanNode){ const nodeModel=useMeanNode?'mean':'true', tag=useMeanNode?'Mean':'True'; return [{ key:`Rahu (${tag})`, color:'#2a9d8f', isNode:true, nodeModel }, { key:`Ketu (${tag})`, color:'#264653', isNode:true, nodeModel, isKetu:true }]; }
+export function nodeLongitude(date, nodeModel){ return nodeModel==='true'?trueLunarNodeLongitude(date):meanLunarNodeLongitude(date); }
+export function tropicalLongitudeOf(p, date){ if(p.isNode){ const rahu=nodeLongitude(date,p.nodeModel); return p.isKetu?norm360(rahu+180):rahu; } return norm360(Astronomy.Ecliptic(Astronomy.GeoVector(p.body,date,true)).elon); }
+// Motion over ±12h; Sun and Moon never station. Nodes use their own model (the true node can turn direct).
+export function isRetrograde(p, date){ if(p.key==='Sun'||p.key==='Moon'||(!p.body&&!p.isNode)) return false; try{ const dtm=new Date(date.getTime()-12*3600000), dtp=new Date(date.getTime()+12*3600000); return signedDelta(tropicalLongitudeOf(p,dtp),tropicalLongitudeOf(p,dtm))<0; }catch{ return false; } }
+
+/* --------------- Vimshottari dasha --------------- */
+export const DASHA_LORDS = [ {key:'Ketu',years:7},{key:'Venus',years:20},{key:'Sun',years:6},{key:'Moon',years:10},{key:'Mars',years:7},{key:'Rahu',years:18},{key:'Jupiter',years:16},{key:'Saturn',years:19},{key:'Mercury',years:17} ];
+export const DASHA_YEAR_MS = 365.25*86400000, DASHA_TOTAL_YEARS = 120;
+export const DASHA_LEVELS = ['Mahadasha','Antardasha','Pratyantardasha'];
+// Sub-periods start with the parent's own lord and follow the Vimshottari order, each taking years/120 of the parent.
+export function dashaSubPeriods(parent, level){ const first=DASHA_LORDS.findIndex(l=>l.key===parent.lord); const out=[]; let t=parent.start.getTime(); const span=parent.end.getTime()-parent.start.getTime(); for(let k=0;k<9;k++){ const l=DASHA_LORDS[(first+k)%9]; const end=t+span*l.years/DASHA_TOTAL_YEARS; out.push({ lord:l.key, level, start:new Date(t), end:new Date(end) }); t=end; } return out; }
+// Balance of the birth mahadasha = unelapsed fraction of the Moon's nakshatra × that lord's years.
+export function vimshottariDasha(moonSidLon, birthDate){
+  const lon=norm360(moonSidLon), nakIndex=Math.floor(lon/NAK_SIZE), elapsed=(lon-nakIndex*NAK_SIZE)/NAK_SIZE, first=nakIndex%9;
+  const birthLord=DASHA_LORDS[first], balanceYears=(1-elapsed)*birthLord.years;
+  let t=birthDate.getTime()-elapsed*birthLord.years*DASHA_YEAR_MS; const mahadashas=[];
+  for(let k=0;k<9;k++){ const l=DASHA_LORDS[(first+k)%9]; const end=t+l.years*DASHA_YEAR_MS; mahadashas.push({ lord:l.key, level:0, start:new Date(t), end:new Date(end) }); t=end; }
+  return { nakIndex, birthLord:birthLord.key, balanceYears, mahadashas };
+}
+export function activeDashaPath(dasha, date){ const path=[]; let list=dasha.mahadashas; for(let level=0;level<DASHA_LEVELS.length;level++){ const cur=list.find((p)=>date>=p.start&&date<p.end); if(!cur) break; path.push(cur); list=dashaSubPeriods(cur,level+1); } return path; }
+
+/* --------------- Divisional charts (vargas) --------------- */
+export const VARGAS = [
+  {id:'D1',n:1,name:'Rashi'},{id:'D2',n:2,name:'Hora'},{id:'D3',n:3,name:'Drekkana'},{id:'D7',n:7,name:'Saptamsa'},{id:'D9',n:9,name:'Navamsa'},{id:'D10',n:10,name:'Dashamsa'},
+  {id:'D12',n:12,name:'Dwadasamsa'},{id:'D16',n:16,name:'Shodasamsa'},{id:'D20',n:20,name:'Vimsamsa'},{id:'D24',n:24,name:'Chaturvimsamsa'},{id:'D30',n:30,name:'Trimsamsa'},{id:'D60',n:60,name:'Shashtiamsa'}
+];
+// Parāśari trimsamsa: uneven parts ruled by Ma/Sa/Ju/Me/Ve (odd signs) and the reverse (even signs) → [upper degree, sign index]
+const TRIMSAMSA = { odd:[[5,0],[10,10],[18,8],[25,2],[30,6]], even:[[5,1],[12,5],[20,11],[25,9],[30,7]] };
+// Maps a longitude into the n-th varga; `lon` spreads the progress through the division over the varga sign so it can be drawn on the wheel.
+export function vargaOf(lonDeg, n){
+  const lon=norm360(lonDeg), s=Math.floor(lon/30), d=lon-s*30, odd=s%2===0, mode=s%3; // mode: 0 movable, 1 fixed, 2 dual
+  if(n===1) return { signIndex:s, lon };
+  if(n===30){ let lo=0; for(const [hi,sign] of (odd?TRIMSAMSA.odd:TRIMSAMSA.even)){ if(d<hi) return { signIndex:sign, lon:sign*30+(d-lo)/(hi-lo)*30 }; lo=hi; } }
+  const size=30/n, part=Math.min(n-1,Math.floor(d/size)), frac=(d-part*size)/size;
+  let sign;
+  switch(n){
+    case 2: sign=odd?(part?3:4):(part?4:3); break; // Leo (Sun) / Cancer (Moon)
+    case 3: sign=s+part*4; break;
+    case 7: sign=(odd?s:s+6)+part; break;
+    case 9: sign=s*9+part; break;
+    case 10: sign=(odd?s:s+8)+part; break;
+    case 16: sign=[0,4,8][mode]+part; break;
+    case 20: sign=[0,8,4][mode]+part; break;
+    case 24: sign=(odd?4:3)+part; break;
+    default: sign=s+part; // D12, D60
+  }
+  sign=sign%12; return { signIndex:sign, lon:sign*30+frac*30 };
+}
+export const vargaN = (id)=> VARGAS.find(v=>v.id===id)?.n||1;
+
+/* --------------- Dignity & strength --------------- */
+export const GRAHAS = ['Sun','Moon','Mars','Mercury','Jupiter','Venus','Saturn'];
+export const SIGN_LORDS = ['Mars','Venus','Mercury','Moon','Sun','Mercury','Venus','Mars','Jupiter','Saturn','Saturn','Jupiter'];
+// Deep exaltation points (sidereal °); debilitation is the opposite point. Moolatrikona as [sign index, from°, to°).
+export const EXALTATION = { Sun:10, Moon:33, Mars:298, Mercury:165, Jupiter:95, Venus:357, Saturn:200 };
+export const MOOLATRIKONA = { Sun:[4,0,20], Moon:[1,3,30], Mars:[0,0,12], Mercury:[5,15,20], Jupiter:[8,0,10], Venus:[6,0,15], Saturn:[10,0,20] };
+// Naisargika (natural) friendships as [friends, enemies]; the rest are neutral.
+export const NATURAL_RELATIONS = {
+  Sun:[['Moon','Mars','Jupiter'],['Venus','Saturn']], Moon:[['Sun','Mercury'],[]], Mars:[['Sun','Moon','Jupiter'],['Mercury']], Mercury:[['Sun','Venus'],['Moon']],
+  Jupiter:[['Sun','Moon','Mars'],['Mercury','Venus']], Venus:[['Mercury','Saturn'],['Sun','Moon']], Saturn:[['Mercury','Venus'],['Sun','Moon','Mars']]
+};
+export const DIGNITIES = { exalted:'Exalted', moolatrikona:'Moolatrikona', own:'Own sign', 'great-friend':'Great friend', friend:'Friend', neutral:'Neutral', enemy:'Enemy', 'great-enemy':'Great enemy', debilitated:'Debilitated' };
+const RELATION_KINDS = ['great-enemy','enemy','neutral','friend','great-friend'];
+// Panchadha (compound) relation of `key` towards `other`: natural (+1/0/−1) plus tatkalika (+1 when `other` is 2,3,4,10,11,12 signs on, else −1).
+// `signs` maps graha keys to sign indices.
+export function compoundRelation(key, other, signs){
+  const [friends, enemies]=NATURAL_RELATIONS[key], natural=friends.includes(other)?1:enemies.includes(other)?-1:0;
+  const dist=((signs[other]-signs[key]+12)%12)+1, temporal=[2,3,4,10,11,12].includes(dist)?1:-1;
+  return RELATION_KINDS[natural+temporal+2];
+}
+// Moon and Mercury share their exaltation and moolatrikona signs: exalted below the moolatrikona span, own sign above it.
+export function dignityOf(key, lonDeg, signs){
+  const lon=norm360(lonDeg), s=Math.floor(lon/30), d=lon-s*30, ex=EXALTATION[key], deb=norm360(ex+180), [mtSign,mtFrom,mtTo]=MOOLATRIKONA[key], lord=SIGN_LORDS[s];
+  const deep=(point)=>({ exact:point, offBy:Math.abs(signedDelta(lon,point)) });
+  if(s===Math.floor(deb/30)) return { kind:'debilitated', label:DIGNITIES.debilitated, lord, ...deep(deb) };
+  if(s===mtSign&&d>=mtFrom&&d<mtTo) return { kind:'moolatrikona', label:DIGNITIES.moolatrikona, lord };
+  if(s===Math.floor(ex/30)&&!(s===mtSign&&d>=mtFrom)) return { kind:'exalted', label:DIGNITIES.exalted, lord, ...deep(ex) };
+  if(lord===key) return { kind:'own', label:DIGNITIES.own, lord };
+  const kind=compoundRelation(key, lord, { ...signs, [key]:s }); return { kind, label:DIGNITIES[kind], lord };
+}
+// Orbs from the Sun as [direct, retrograde]; Mercury and Venus burn within a tighter orb when retrograde.
+export const COMBUSTION_ORBS = { Moon:[12,12], Mars:[17,17], Mercury:[14,12], Jupiter:[11,11], Venus:[10,8], Saturn:[15,15] };
+export function combustion(key, lonDeg, sunLonDeg, retrograde){ const orbs=COMBUSTION_ORBS[key]; if(!orbs) return null; const distance=Math.abs(signedDelta(lonDeg,sunLonDeg)), orb=orbs[retrograde?1:0]; return distance<orb? { distance, orb }: null; }
+// Graha yuddha: two of Mars…Saturn within 1° of longitude; the one further north in ecliptic latitude wins (Surya Siddhanta).
+export const WAR_GRAHAS = ['Mars','Mercury','Jupiter','Venus','Saturn'];
+export function grahaYuddha(positions){
+  const ps=positions.filter(p=>WAR_GRAHAS.includes(p.key)), wars=[];
+  for(let i=0;i<ps.length;i++) for(let j=i+1;j<ps.length;j++){ const a=ps[i], b=ps[j], separation=Math.abs(signedDelta(a.lon,b.lon)); if(separation<1) wars.push({ winner:a.lat>=b.lat?a.key:b.key, loser:a.lat>=b.lat?b.key:a.key, separation }); }
+  return wars;
+}
+// Sphuta drishti in virupas for `angle` = aspected − aspecting longitude, with the special aspects of Mars (4/8), Jupiter (5/9) and Saturn (3/10), capped at 60.
+export function drishtiValue(key, angle){
+  const d=norm360(angle); let v=d<30?0: d<60?(d-30)/2: d<90?d-45: d<120?(120-d)/2+30: d<150?150-d: d<180?(d-150)*2: d<300?(300-d)/2: 0;
+  if(key==='Mars'&&((d>=90&&d<120)||(d>=210&&d<240))) v+=15;
+  if(key==='Jupiter'&&((d>=120&&d<150)||(d>=240&&d<270))) v+=30;
+  if(key==='Saturn'&&((d>=60&&d<90)||(d>=270&&d<300))) v+=45;
+  return Math.min(60,v);
+}
+// Bindu places counted from each contributor, in the order of AV_CONTRIBUTORS (BPHS ch. 66). Totals: 48 49 39 54 56 52 39 → SAV 337.
+export const AV_CONTRIBUTORS = [...GRAHAS,'Ascendant'];
+export const ASHTAKAVARGA = {
+  Sun:[[1,2,4,7,8,9,10,11],[3,6,10,11],[1,2,4,7,8,9,10,11],[3,5,6,9,10,11,12],[5,6,9,11],[6,7,12],[1,2,4,7,8,9,10,11],[3,4,6,10,11,12]],
+  Moon:[[3,6,7,8,10,11],[1,3,6,7,10,11],[2,3,5,6,9,10,11],[1,3,4,5,7,8,10,11],[1,4,7,8,10,11,12],[3,4,5,7,9,10,11],[3,5,6,11],[3,6,10,11]],
+  Mars:[[3,5,6,10,11],[3,6,11],[1,2,4,7,8,10,11],[3,5,6,11],[6,10,11,12],[6,8,11,12],[1,4,7,8,9,10,11],[1,3,6,10,11]],
+  Mercury:[[5,6,9,11,12],[2,4,6,8,10,11],[1,2,4,7,8,9,10,11],[1,3,5,6,9,10,11,12],[6,8,11,12],[1,2,3,4,5,8,9,11],[1,2,4,7,8,9,10,11],[1,2,4,6,8,10,11]],
+  Jupiter:[[1,2,3,4,7,8,9,10,11],[2,5,7,9,11],[1,2,4,7,8,10,11],[1,2,4,5,6,9,10,11],[1,2,3,4,7,8,10,11],[2,5,6,9,10,11],[3,5,6,12],[1,2,4,5,6,7,9,10,11]],
+  Venus:[[8,11,12],[1,2,3,4,5,8,9,11,12],[3,5,6,9,11,12],[3,5,6,9,11],[5,8,9,10,11],[1,2,3,4,5,8,9,10,11],[3,4,5,8,9,10,11],[1,2,3,4,5,8,9,11]],
+  Saturn:[[1,2,4,7,8,10,11],[3,6,11],[3,5,6,10,11,12],[6,8,9,10,11,12],[5,6,11,12],[6,11,12],[3,5,6,11],[1,3,4,6,10,11]]
+};
+// Bhinnashtakavarga (bindus per sign for each graha) and their sum, the Sarvashtakavarga. `signs` must include Ascendant.
+export function ashtakavarga(signs){
+  const bav=Object.fromEntries(GRAHAS.map(key=>{ const row=Array(12).fill(0); ASHTAKAVARGA[key].forEach((places,i)=>{ const from=signs[AV_CONTRIBUTORS[i]]; for(const n of places) row[(from+n-1)%12]++; }); return [key,row]; }));
+  return { bav, sav:Array.from({length:12},(_,s)=>GRAHAS.reduce((t,k)=>t+bav[k][s],0)) };
+}
+export const NAISARGIKA_BALA = { Sun:60, Moon:51.43, Mars:17.14, Mercury:25.71, Jupiter:34.29, Venus:42.86, Saturn:8.57 };
+export const REQUIRED_RUPAS = { Sun:6.5, Moon:6, Mars:5, Mercury:7, Jupiter:6.5, Venus:5.5, Saturn:5 };
+export const SHADBALA_PARTS = [ {id:'sthana',name:'Sthana'},{id:'dig',name:'Dig'},{id:'kala',name:'Kala'},{id:'cheshta',name:'Cheshta'},{id:'naisargika',name:'Naisargika'},{id:'drik',name:'Drik'} ];
+const SAPTAVARGA = [1,2,3,7,9,12,30];
+// Saptavargaja bala (virupas) per varga placement, as in BPHS.
+const VARGA_DIGNITY_BALA = { moolatrikona:45, own:30, 'great-friend':20, friend:15, neutral:10, enemy:4, 'great-enemy':2 };
+const DREKKANA_OF = { Sun:0, Mars:0, Jupiter:0, Mercury:1, Saturn:1, Moon:2, Venus:2 }; // male / neuter / female grahas gain in the 1st / 2nd / 3rd decanate
+const DIG_POINT = { Sun:'mc', Mars:'mc', Jupiter:'asc', Mercury:'asc', Moon:'ic', Venus:'ic', Saturn:'dsc' };
+const MEAN_MOTION = { Mars:0.524, Mercury:0.986, Jupiter:0.083, Venus:0.986, Saturn:0.034 }; // °/day
+// Cheshta by speed relative to mean motion as [ratio below, state, virupas]; any retrograde motion is Vakra (60).
+const MOTION_STATES = [ [0.1,'Vikala',15],[0.5,'Mandatara',15],[0.95,'Manda',30],[1.05,'Sama',7.5],[1.5,'Chara',45],[Infinity,'Atichara',30] ];
+export const KALA_PARTS = ['natonnata','paksha','tribhaga','abda','masa','vara','hora','ayana','yuddha'];
+const TRIBHAGA_LORDS = [['Mercury','Sun','Saturn'],['Moon','Venus','Mars']]; // thirds of the day, then of the night; Jupiter always gains
+const KALI_EPOCH_JDN = 588466; // Friday 18 Feb 3102 BCE (Julian), day 0 of the Kali ahargana
+
+// Dignity, combustion, graha yuddha, Shadbala (virupas; 60 = 1 rupa) and Ashtakavarga for the seven grahas. Always from sidereal
+// positions, as nakshatras are. Kala bala has all nine BPHS parts (KALA_PARTS). The day runs from sunrise (local mean time for the
+// vara); hora bala uses equal hours from sunrise; abda and masa lords start 360- and 30-day spans of the Kali ahargana.
+// Where the Sun does not rise, day and night are 06:00–18:00 and 18:00–06:00 local apparent time.
+export function strengthAnalysis(date, lat, lon, ayanamshaDeg){
+  const observer=new Astronomy.Observer(Number(lat)||0, Number(lon)||0, 0), half=43200000, t=date.getTime();
+  const toDate=Astronomy.Rotation_EQJ_EQD(date); // kranti is geocentric, like the longitudes
+  const grahas=GRAHAS.map(key=>{ const b=BODIES.find(x=>x.key===key), geo=Astronomy.GeoVector(b.body,date,true), ecl=Astronomy.Ecliptic(geo); const speed=signedDelta(tropicalLongitudeOf(b,new Date(date.getTime()+half)),tropicalLongitudeOf(b,new Date(date.getTime()-half)));
+    return { key, color:b.color, lon:norm360(ecl.elon-ayanamshaDeg), lat:ecl.elat, speed, dec:Astronomy.EquatorFromVector(Astronomy.RotateVector(toDate,geo)).dec }; });
+  const by=Object.fromEntries(grahas.map(g=>[g.key,g])), arc=(a,b)=>Math.abs(signedDelta(a,b));
+  const asc=norm360(computeAscendantDeg(date,lat,lon)-ayanamshaDeg), mc=norm360(computeMidheavenDeg(date,lon)-ayanamshaDeg), points={ asc, mc, dsc:norm360(asc+180), ic:norm360(mc+180) };
+  const signs={ ...Object.fromEntries(grahas.map(g=>[g.key,Math.floor(g.lon/30)])), Ascendant:Math.floor(asc/30) };
+  const { bav, sav }=ashtakavarga(signs), wars=grahaYuddha(grahas);
+  const elongation=norm360(by.Moon.lon-by.Sun.lon), waxing=elongation<180, beneficPaksha=Math.min(elongation,360-elongation)/3;
+  const hourAngle=Astronomy.HourAngle(Astronomy.Body.Sun,date,observer), fromNoon=arc(hourAngle*15,0); // 0 at local noon, 180 at midnight
+  const benefic=(k)=>k==='Jupiter'||k==='Venus'||k==='Mercury'||(k==='Moon'&&waxing);
+  // Time lords for tribhaga, abda, masa, vara and hora bala.
+  const sd=sunriseDay(date,lat,lon,'LMT'), solar=sd.sunrise&&sd.sunset&&sd.nextSunrise;
+  const rise=solar? sd.sunrise.getTime(): t-((hourAngle+6)%24)*HOUR_MS, set=solar? sd.sunset.getTime(): rise+12*HOUR_MS, next=solar? sd.nextSunrise.getTime(): rise+24*HOUR_MS;
+  const isDay=t<set, third=Math.min(2,Math.floor(3*(isDay? (t-rise)/(set-rise): (t-set)/(next-set))));
+  const varaLord=VARAS[sd.varaIndex].lord, ahargana=Math.floor(rise/86400000+2440587.5+(Number(lon)||0)/360+0.5)-KALI_EPOCH_JDN;
+  const weekdayLord=(day)=>VARAS[(day+KALI_EPOCH_JDN+1)%7].lord; // ahargana day → lord of its weekday
+  const lords={ tribhaga:TRIBHAGA_LORDS[isDay?0:1][third], abda:weekdayLord(360*Math.floor(ahargana/360)), masa:weekdayLord(30*Math.floor(ahargana/30)), vara:varaLord,
+    hora:HORA_ORDER[(HORA_ORDER.indexOf(varaLord)+Math.floor((t-rise)/HOUR_MS))%7] };
+  const rows=grahas.map(g=>{
+    const key=g.key, sign=signs[key], dignity=dignityOf(key,g.lon,signs), retrograde=key!=='Sun'&&key!=='Moon'&&g.speed<0;
+    const saptavargaja=SAPTAVARGA.reduce((t,n)=>{ const lord=SIGN_LORDS[vargaOf(g.lon,n).signIndex]; return t+VARGA_DIGNITY_BALA[n===1&&dignity.kind==='moolatrikona'?'moolatrikona': lord===key?'own': compoundRelation(key,lord,signs)]; },0);
+    const ojayugma=[1,9].reduce((t,n)=>t+((vargaOf(g.lon,n).signIndex%2===1)===(key==='Moon'||key==='Venus')?15:0),0);
+    const sthanaParts={ uchcha:arc(g.lon,EXALTATION[key]+180)/3, saptavargaja, ojayugma, kendradi:[60,30,15][((sign-signs.Ascendant+12)%12)%3], drekkana:Math.floor((g.lon%30)/10)===DREKKANA_OF[key]?15:0 };
+    const dig=(180-arc(g.lon,points[DIG_POINT[key]]))/3;
+    const paksha=(benefic(key)||key==='Moon'? beneficPaksha: 60-beneficPaksha)*(key==='Moon'?2:1);
+    const kalaParts={ natonnata:key==='Mercury'?60: ['Sun','Jupiter','Venus'].includes(key)? (180-fromNoon)/3: fromNoon/3, paksha,
+      tribhaga:key==='Jupiter'||key===lords.tribhaga?60:0, abda:key===lords.abda?15:0, masa:key===lords.masa?30:0, vara:key===lords.vara?45:0, hora:key===lords.hora?60:0,
+      ayana:Math.max(0,Math.min(60,(24+(key==='Mercury'?Math.abs(g.dec): key==='Moon'||key==='Saturn'?-g.dec: g.dec))*60/48))*(key==='Sun'?2:1), yuddha:0 };
+    const motion=key==='Sun'||key==='Moon'? null: retrograde? [0,'Vakra',60]: MOTION_STATES.find(([r])=>g.speed/MEAN_MOTION[key]<r);
+    const cheshta=key==='Sun'? kalaParts.ayana/2: key==='Moon'? paksha/2: motion[2]; // Sun: ayana bala, Moon: paksha bala
+    const drik=grahas.reduce((t,o)=>o.key===key? t: t+(benefic(o.key)?1:-1)*drishtiValue(o.key,g.lon-o.lon),0)/4;
+    return { g, sign, dignity, retrograde, motion, sthanaParts, kalaParts, dig, cheshta, drik };
+  });
+  // Yuddha bala: the winner of a war takes the difference of the two grahas' sthana + dig + kala bala from the loser.
+  const sum=(o)=>Object.values(o).reduce((a,b)=>a+b,0), row=Object.fromEntries(rows.map(r=>[r.g.key,r])), preWar=(k)=>sum(row[k].sthanaParts)+row[k].dig+sum(row[k].kalaParts);
+  for(const [w,d] of wars.map(w=>[w,Math.abs(preWar(w.winner)-preWar(w.loser))])){ row[w.winner].kalaParts.yuddha+=d; row[w.loser].kalaParts.yuddha-=d; }
+  return { asc, signs, bav, sav, wars, lords, grahas:rows.map(({ g, sign, dignity, retrograde, motion, sthanaParts, kalaParts, dig, cheshta, drik })=>{
+    const key=g.key, shadbala={ sthana:sum(sthanaParts), dig, kala:sum(kalaParts), cheshta, naisargika:NAISARGIKA_BALA[key], drik }, total=SHADBALA_PARTS.reduce((t,p)=>t+shadbala[p.id],0);
+    const war=wars.find(w=>w.winner===key||w.loser===key);
+    return { key, color:g.color, lon:g.lon, sign, speed:g.speed, retrograde, motion:motion?.[1]||null, dignity,
+      combust:key==='Sun'? null: combustion(key,g.lon,by.Sun.lon,retrograde),
+      war:war? { against:war.winner===key?war.loser:war.winner, won:war.winner===key, separation:war.separation }: null,
+      shadbala:{ ...shadbala, total, rupas:total/60, required:REQUIRED_RUPAS[key], ratio:total/60/REQUIRED_RUPAS[key], sthanaParts, kalaParts },
+      bindus:bav[key][sign], sav:sav[sign] };
+  }) };
+}
+
+/* --------------- Event finder --------------- */
+export const EVENT_TYPES = [ {id:'ingress',name:'Sign ingresses'},{id:'nakshatra',name:'Nakshatra changes'},{id:'pada',name:'Pada changes'},{id:'station',name:'Stations'},{id:'conjunction',name:'Conjunctions'},{id:'lunation',name:'New/full moons'} ];
+export const HOUR_MS = 3600000, MINUTE_MS = 60000;
+// Bisection between a (not flipped) and b (flipped) down to a second; returns the first whole minute after the flip.
+function refineFlip(a, b, flipped){ while(b-a>1000){ const m=(a+b)/2; if(flipped(m)) b=m; else a=m; } return new Date(Math.ceil(b/MINUTE_MS)*MINUTE_MS); }
+// Samples every body (Moon 2h, others 12h) across [start,end], then refines each boundary crossing, speed sign change or
+// longitude-difference zero to the minute. zodiacOffset(date) is the ayanamsha applied at that instant (0 for tropical).
+export function findEvents(bodies, start, end, zodiacOffset, types){
+  const t0=start.getTime(), t1=end.getTime(), events=[];
+  const lonAt=(p,t)=>norm360(tropicalLongitudeOf(p,new Date(t))-zodiacOffset(new Date(t)));
+  const push=(time,type,p,text)=>{ const t=time.getTime(); if(t>=t0&&t<=t1) events.push({ time, type, body:p?.key, color:p?.color, text }); };
+  const series=bodies.map((p)=>{ const step=p.key==='Moon'?2*HOUR_MS:12*HOUR_MS; const ts=[], ls=[]; for(let t=t0;t<t1+step;t+=step){ ts.push(t); ls.push(lonAt(p,t)); } return { p, step, ts, ls }; });
+  const divisions=[ ['ingress',30,i=>`enters ${SIGNS[i].name}`],['nakshatra',NAK_SIZE,i=>`enters ${NAKSHATRAS[i].en}`],['pada',PADA_SIZE,i=>`enters ${NAKSHATRAS[Math.floor(i/4)].en} pada ${i%4+1}`] ];
+  for(const s of series){
+    for(const [type,size,describe] of divisions){ if(!types[type]) continue;
+      for(let i=1;i<s.ts.length;i++){ const a=Math.floor(s.ls[i-1]/size), b=Math.floor(s.ls[i]/size); if(a===b) continue; const time=refineFlip(s.ts[i-1],s.ts[i],t=>Math.floor(lonAt(s.p,t)/size)!==a); push(time,type,s.p,`${describe(b)}${signedDelta(s.ls[i],s.ls[i-1])<0?' \u211E':''}`); }
+    }
+    const stations=types.station && s.p.key!=='Sun' && s.p.key!=='Moon' && !s.p.isKetu && !(s.p.isNode && s.p.nodeModel==='mean');
+    if(stations){ const speed=(t)=>signedDelta(lonAt(s.p,t+HOUR_MS),lonAt(s.p,t-HOUR_MS));
+      for(let i=1;i<s.ts.length-1;i++){ const before=signedDelta(s.ls[i],s.ls[i-1]), after=signedDelta(s.ls[i+1],s.ls[i]); if(Math.sign(before)===Math.sign(after)||before===0) continue; const time=refineFlip(s.ts[i-1],s.ts[i+1],t=>Math.sign(speed(t))!==Math.sign(before)); push(time,'station',s.p,before>0?'stations retrograde':'stations direct'); }
+    }
+  }
+  if(types.conjunction){
+    // Longitude of a series at any sampled instant, linearly interpolated between its own samples.
+    const lonOf=(s,t)=>{ const k=Math.min(s.ts.length-2,Math.max(0,Math.floor((t-t0)/s.step))), f=(t-s.ts[k])/s.step; return norm360(s.ls[k]+f*signedDelta(s.ls[k+1],s.ls[k])); };
+    for(let i=0;i<series.length;i++) for(let j=i+1;j<series.length;j++){ const A=series[i], B=series[j]; if(A.p.isNode&&B.p.isNode) continue;
+      const grid=A.step<=B.step? A.ts: B.ts; let prev=signedDelta(lonOf(A,grid[0]),lonOf(B,grid[0]));
+      for(let k=1;k<grid.length;k++){ const cur=signedDelta(lonOf(A,grid[k]),lonOf(B,grid[k])); if(Math.sign(cur)!==Math.sign(prev)&&Math.abs(cur)<30&&Math.abs(prev)<30){ const sign0=Math.sign(prev); const time=refineFlip(grid[k-1],grid[k],t=>Math.sign(signedDelta(lonAt(A.p,t),lonAt(B.p,t)))!==sign0); const z=zodiacBreakdown(lonAt(A.p,time.getTime())); push(time,'conjunction',A.p,`conjunct ${B.p.key} at ${z.sign} ${z.deg}°${String(z.min).padStart(2,'0')}′`); } prev=cur; }
+    }
+  }
+  if(types.lunation){ for(const [phase,name] of [[0,'New moon'],[180,'Full moon']]){ let t=start; for(;;){ const r=Astronomy.SearchMoonPhase(phase,t,(t1-t.getTime())/86400000); if(!r) break; const time=new Date(Math.round(r.date.getTime()/MINUTE_MS)*MINUTE_MS); const moon=bodies.find((b)=>b.key==='Moon'); const z=zodiacBreakdown(lonAt(moon||{ key:'Moon', body:Astronomy.Body.Moon },time.getTime())); push(time,'lunation',moon,`${name} in ${z.sign} ${z.deg}°${String(z.min).padStart(2,'0')}′`); t=new Date(r.date.getTime()+86400000); } } }
+  return events.sort((a,b)=>a.time.getTime()-b.time.getTime());
+}
+// findEvents in windows of chunkDays so a UI can yield between them. Each window is scanned with a day of margin on both
+// sides (stations and crossings need a sample either side) and keeps only events inside it. Yields { progress, events }.
+export function* scanEvents(bodies, start, end, zodiacOffset, types, chunkDays=15){
+  const t0=start.getTime(), t1=end.getTime(), chunk=chunkDays*86400000, margin=86400000, events=[];
+  for(let a=t0;a<t1;a+=chunk){ const b=Math.min(t1,a+chunk);
+    for(const e of findEvents(bodies,new Date(a-margin),new Date(b+margin),zodiacOffset,types)){ const t=e.time.getTime(); if(t>=a&&(b===t1? t<=b: t<b)) events.push(e); }
+    yield { progress:(b-t0)/(t1-t0), events };
+  }
+}
+
+/* --------------- Panchang --------------- */
+export const TITHIS = ['Pratipada','Dwitiya','Tritiya','Chaturthi','Panchami','Shashthi','Saptami','Ashtami','Navami','Dashami','Ekadashi','Dwadashi','Trayodashi','Chaturdashi'];
+export const YOGAS = ['Vishkambha','Priti','Ayushman','Saubhagya','Shobhana','Atiganda','Sukarma','Dhriti','Shula','Ganda','Vriddhi','Dhruva','Vyaghata','Harshana','Vajra','Siddhi','Vyatipata','Variyan','Parigha','Shiva','Siddha','Sadhya','Shubha','Shukla','Brahma','Indra','Vaidhriti'];
+// Half-tithis: Kimstughna first, then the seven movable karanas eight times over, then the fixed Shakuni, Chatushpada and Naga.
+export const KARANAS = ['Bava','Balava','Kaulava','Taitila','Garaja','Vanija','Vishti'];
+export const VARAS = [ {name:'Ravivara',en:'Sunday',lord:'Sun'},{name:'Somavara',en:'Monday',lord:'Moon'},{name:'Mangalavara',en:'Tuesday',lord:'Mars'},{name:'Budhavara',en:'Wednesday',lord:'Mercury'},{name:'Guruvara',en:'Thursday',lord:'Jupiter'},{name:'Shukravara',en:'Friday',lord:'Venus'},{name:'Shanivara',en:'Saturday',lord:'Saturn'} ];
+export const HORA_ORDER = ['Saturn','Jupiter','Mars','Sun','Venus','Mercury','Moon']; // Chaldean order; each hour's lord follows the previous one
+// Which eighth of daylight (1–8) each period occupies, by weekday from Sunday.
+export const KAAL_PARTS = { rahuKaal:[8,2,7,5,6,4,3], yamaganda:[5,4,3,2,1,7,6], gulika:[7,6,5,4,3,2,1] };
+export const tithiName = (i)=> i===14? 'Purnima': i===29? 'Amavasya': TITHIS[i%15];
+export const karanaName = (i)=> i===0? 'Kimstughna': i>=57? ['Shakuni','Chatushpada','Naga'][i-57]: KARANAS[(i-1)%7];
+// First minute after `date` at which floor(angle/size) changes. `angle(t)` must advance steadily (it does for the Moon-driven limbs);
+// hourly sampling is safe because no limb lasts under ~10 h.
+function nextLimbChange(angle, size, date, maxHours=36){
+  const t0=date.getTime(), i0=Math.floor(angle(t0)/size); let a=t0;
+  for(let b=t0+HOUR_MS; b<=t0+maxHours*HOUR_MS; b+=HOUR_MS){ if(Math.floor(angle(b)/size)!==i0) return refineFlip(a,b,t=>Math.floor(angle(t)/size)!==i0); a=b; }
+  return null;
+}
+// Sunrise-to-sunrise day around `date`: the last sunrise at or before it, that day's sunset and the next sunrise (null where the Sun does
+// not rise), and the vara — the weekday of that sunrise in `zone`, else the civil weekday.
+function sunriseDay(date, lat, lon, zone){
+  const observer=new Astronomy.Observer(Number(lat)||0, Number(lon)||0, 0), t=date.getTime(), DAY=86400000;
+  const riseSet=(body, direction, from, days)=>{ const r=Astronomy.SearchRiseSet(body, observer, direction, new Date(from), days); return r? r.date: null; };
+  let sunrise=null; for(let r=riseSet(Astronomy.Body.Sun,+1,t-1.5*DAY,1.5); r&&r.getTime()<=t; r=riseSet(Astronomy.Body.Sun,+1,r.getTime()+MINUTE_MS,1.5)) sunrise=r;
+  const nextSunrise=sunrise&&riseSet(Astronomy.Body.Sun,+1,t,1.5), sunset=sunrise&&riseSet(Astronomy.Body.Sun,-1,sunrise.getTime(),1);
+  const from=sunrise? sunrise.getTime(): t, varaIndex=new Date(from+zoneOffsetMinutes(zone,new Date(from),lon)*60000).getUTCDay();
+  return { observer, riseSet, sunrise, sunset:sunset||null, nextSunrise:nextSunrise||null, varaIndex };
+}
+// The five limbs plus sunrise-based vara, Rahu Kaal / Yamaganda / Gulika and the current hora for `date` at lat/lon. Each limb carries the
+// instant it ends. Rise/set times use the upper limb with standard refraction. Where the Sun does not rise (polar day or night) the
+// sunrise-based items are null and the vara falls back to the civil weekday in `zone`.
+export function panchang(date, lat, lon, ayanamshaDeg, zone='UTC'){
+  const t=date.getTime(), DAY=86400000, { riseSet, sunrise, sunset, nextSunrise, varaIndex }=sunriseDay(date, lat, lon, zone);
+  const sun=(ms)=>tropicalLongitudeOf(BODIES[0], new Date(ms)), moon=(ms)=>tropicalLongitudeOf(BODIES[1], new Date(ms));
+  const elongation=(ms)=>norm360(moon(ms)-sun(ms)), moonSid=(ms)=>norm360(moon(ms)-ayanamshaDeg), yogaSum=(ms)=>norm360(sun(ms)+moon(ms)-2*ayanamshaDeg);
+  const e=elongation(t), tithi=Math.floor(e/12), karana=Math.floor(e/6), nak=nakshatraOf(moonSid(t)), yoga=Math.floor(yogaSum(t)/NAK_SIZE);
+  const moonrise=sunrise&&nextSunrise&&riseSet(Astronomy.Body.Moon,+1,sunrise.getTime(),(nextSunrise.getTime()-sunrise.getTime())/DAY);
+  const vara={ index:varaIndex, ...VARAS[varaIndex], end:nextSunrise, fromSunrise:!!sunrise };
+  const daylight=sunrise&&sunset&&nextSunrise? { rise:sunrise.getTime(), set:sunset.getTime(), next:nextSunrise.getTime() }: null;
+  const kaal=(parts)=>{ if(!daylight) return null; const len=(daylight.set-daylight.rise)/8, n=parts[varaIndex]-1; return { start:new Date(daylight.rise+n*len), end:new Date(daylight.rise+(n+1)*len) }; };
+  let hora=null;
+  if(daylight){ const day=t<daylight.set, from=day?daylight.rise:daylight.set, len=((day?daylight.set:daylight.next)-from)/12, k=Math.min(11,Math.floor((t-from)/len)), index=(day?0:12)+k;
+    hora={ index, day, lord:HORA_ORDER[(HORA_ORDER.indexOf(vara.lord)+index)%7], start:new Date(from+k*len), end:new Date(from+(k+1)*len) }; }
+  const out={
+    date, sunrise, sunset, moonrise: moonrise||null, nextSunrise, vara,
+    tithi:{ index:tithi, number:tithi%15+1, name:tithiName(tithi), paksha:tithi<15?'Shukla':'Krishna', end:nextLimbChange(elongation,12,date) },
+    nakshatra:{ index:nak.index, name:nak.name, dev:nak.dev, pada:nak.pada, end:nextLimbChange(moonSid,NAK_SIZE,date) },
+    yoga:{ index:yoga, name:YOGAS[yoga], end:nextLimbChange(yogaSum,NAK_SIZE,date) },
+    karana:{ index:karana, name:karanaName(karana), end:nextLimbChange(elongation,6,date) },
+    rahuKaal:kaal(KAAL_PARTS.rahuKaal), yamaganda:kaal(KAAL_PARTS.yamaganda), gulika:kaal(KAAL_PARTS.gulika), hora
+  };
+  // Until the first limb, pada, hora or sunrise change, a later date at the same place gives the same panchang.
+  const changes=[out.tithi.end, out.nakshatra.end, out.yoga.end, out.karana.end, nextLimbChange(moonSid,PADA_SIZE,date,12), hora&&hora.end, nextSunrise].filter(Boolean);
+  return { ...out, validUntil:new Date(changes.length? Math.min(...changes.map(d=>d.getTime())): t) };
+}
+
+/* --------------- Chart API --------------- */
+// Birth data + options → plain chart object. `date` (a UT instant) wins over `whenIso` read in `zone`;
+// `ayanamsha` is a model id from AYANAMSHA_MODELS or a manual number of degrees. Nakshatras are always sidereal.
+export function computeChart({ date, whenIso, zone='UTC', lat=0, lon=0, sidereal=true, ayanamsha='lahiri', node='mean', houseSystem='whole', outerPlanets=true, vargas=[], dasha=false, strength=false, panchang:withPanchang=false }={}){
+  if(!parseZone(zone)) throw new Error(`Unknown time zone "${zone}"`);
+  const ut=date? new Date(date): localToUtc(whenIso, zone, lon);
+  if(isNaN(ut.getTime())) throw new Error('A valid date (UT) or whenIso (YYYY-MM-DDTHH:MM) is required');
+  if(!Number.isFinite(Number(lat))||Math.abs(lat)>90||!Number.isFinite(Number(lon))) throw new Error(`Invalid location ${lat}, ${lon}`);
+  if(node!=='mean'&&node!=='true') throw new Error(`Unknown node type "${node}" (mean|true)`);
+  if(!HOUSE_SYSTEMS.some(h=>h.id===houseSystem)) throw new Error(`Unknown house system "${houseSystem}" (${HOUSE_SYSTEMS.map(h=>h.id).join('|')})`);
+  const unknownVarga=vargas.find(id=>!VARGAS.some(v=>v.id===id)); if(unknownVarga) throw new Error(`Unknown varga "${unknownVarga}"`);
+  const model=typeof ayanamsha==='number'? 'manual': ayanamsha;
+  if(model!=='manual'&&!AYANAMSHA_MODELS.some(m=>m.id===model)) throw new Error(`Unknown ayanamsha "${ayanamsha}" (${AYANAMSHA_MODELS.map(m=>m.id).join('|')} or degrees)`);
+  const ayan=ayanamshaFor(model, ut, Number(ayanamsha)), offset=sidereal? ayan: 0;
+  const houses=houseCusps(houseSystem, ut, lat, lon, offset);
+  const describe=(key, tropical, extra)=>{ const l=norm360(tropical-offset), z=zodiacBreakdown(l), nk=nakshatraOf(norm360(tropical-ayan)); return { key, ...extra, lon:l, tropical:norm360(tropical), sign:z.sign, signIndex:z.signIndex, deg:z.deg, min:z.min, nakshatra:nk.name, nakshatraIndex:nk.index, pada:nk.pada, house:houseOf(l,houses.cusps), vargas:Object.fromEntries(vargas.map(id=>[id, SIGNS[vargaOf(l,vargaN(id)).signIndex].name])) }; };
+  const ascendant=describe('Ascendant', computeAscendantDeg(ut, lat, lon), {});
+  const planets=planetLongitudes(ut, node==='mean').filter(p=>outerPlanets||!p.optional).map(p=>describe(p.key, p.elon, { abbr:ABBR[p.key], color:p.color, retrograde:isRetrograde(p, ut) }));
+  const drishti=[]; for(const a of planets) for(const b of planets){ if(a===b) continue; const distance=((b.signIndex-a.signIndex+12)%12)+1; if((DRISHTI[a.key]||[7]).includes(distance)) drishti.push({ from:a.key, to:b.key, distance }); }
+  const chart={ date:ut, zone, lat, lon, sidereal, ayanamsha:{ model, deg:ayan }, node, houses:{ system:houses.system, requested:houseSystem, cusps:houses.cusps, mc:houses.mc }, ascendant, planets, drishti };
+  if(dasha){ const moon=planets.find(p=>p.key==='Moon'); chart.dasha=vimshottariDasha(norm360(moon.tropical-ayan), ut); }
+  if(strength) chart.strength=strengthAnalysis(ut, lat, lon, ayan);
+  if(withPanchang) chart.panchang=panchang(ut, lat, lon, ayan, zone);
+  return chart;
+}
@@ -0,0 +1,82 @@
+/* =============================================================
+   Offline place gazetteer for birth-data entry
+   - [name, region, latitude °N, longitude °E, IANA zone]
+   - Searched locally; nothing is fetched
+   ============================================================= */
+
+const PLACE_ROWS = [
+  // India
+  ['Kanpur','Uttar Pradesh, India',26.4499,80.3319,'Asia/Kolkata'],['Lucknow','Uttar Pradesh, India',26.8467,80.9462,'Asia/Kolkata'],['Varanasi','Uttar Pradesh, India',25.3176,82.9739,'Asia/Kolkata'],
+  ['Prayagraj (Allahabad)','Uttar Pradesh, India',25.4358,81.8463,'Asia/Kolkata'],['Agra','Uttar Pradesh, India',27.1767,78.0081,'Asia/Kolkata'],['Mathura','Uttar Pradesh, India',27.4924,77.6737,'Asia/Kolkata'],
+  ['Gorakhpur','Uttar Pradesh, India',26.7606,83.3732,'Asia/Kolkata'],['Meerut','Uttar Pradesh, India',28.9845,77.7064,'Asia/Kolkata'],['Ayodhya','Uttar Pradesh, India',26.7922,82.1998,'Asia/Kolkata'],
+  ['New Delhi','Delhi, India',28.6139,77.2090,'Asia/Kolkata'],['Mumbai','Maharashtra, India',19.0760,72.8777,'Asia/Kolkata'],['Pune','Maharashtra, India',18.5204,73.8567,'Asia/Kolkata'],
+  ['Nagpur','Maharashtra, India',21.1458,79.0882,'Asia/Kolkata'],['Nashik','Maharashtra, India',19.9975,73.7898,'Asia/Kolkata'],['Kolkata','West Bengal, India',22.5726,88.3639,'Asia/Kolkata'],
+  ['Chennai','Tamil Nadu, India',13.0827,80.2707,'Asia/Kolkata'],['Madurai','Tamil Nadu, India',9.9252,78.1198,'Asia/Kolkata'],['Coimbatore','Tamil Nadu, India',11.0168,76.9558,'Asia/Kolkata'],
+  ['Bengaluru','Karnataka, India',12.9716,77.5946,'Asia/Kolkata'],['Mysuru','Karnataka, India',12.2958,76.6394,'Asia/Kolkata'],['Udupi','Karnataka, India',13.3409,74.7421,'Asia/Kolkata'],
+  ['Hyderabad','Telangana, India',17.3850,78.4867,'Asia/Kolkata'],['Visakhapatnam','Andhra Pradesh, India',17.6868,83.2185,'Asia/Kolkata'],['Tirupati','Andhra Pradesh, India',13.6288,79.4192,'Asia/Kolkata'],
+  ['Ahmedabad','Gujarat, India',23.0225,72.5714,'Asia/Kolkata'],['Surat','Gujarat, India',21.1702,72.8311,'Asia/Kolkata'],['Vadodara','Gujarat, India',22.3072,73.1812,'Asia/Kolkata'],
+  ['Dwarka','Gujarat, India',22.2442,68.9685,'Asia/Kolkata'],['Jaipur','Rajasthan, India',26.9124,75.7873,'Asia/Kolkata'],['Jodhpur','Rajasthan, India',26.2389,73.0243,'Asia/Kolkata'],
+  ['Udaipur','Rajasthan, India',24.5854,73.7125,'Asia/Kolkata'],['Bhopal','Madhya Pradesh, India',23.2599,77.4126,'Asia/Kolkata'],['Indore','Madhya Pradesh, India',22.7196,75.8577,'Asia/Kolkata'],
+  ['Ujjain','Madhya Pradesh, India',23.1765,75.7885,'Asia/Kolkata'],['Gwalior','Madhya Pradesh, India',26.2183,78.1828,'Asia/Kolkata'],['Patna','Bihar, India',25.5941,85.1376,'Asia/Kolkata'],
+  ['Gaya','Bihar, India',24.7914,85.0002,'Asia/Kolkata'],['Ranchi','Jharkhand, India',23.3441,85.3096,'Asia/Kolkata'],['Bhubaneswar','Odisha, India',20.2961,85.8245,'Asia/Kolkata'],
+  ['Puri','Odisha, India',19.8135,85.8312,'Asia/Kolkata'],['Guwahati','Assam, India',26.1445,91.7362,'Asia/Kolkata'],['Chandigarh','Chandigarh, India',30.7333,76.7794,'Asia/Kolkata'],
+  ['Amritsar','Punjab, India',31.6340,74.8723,'Asia/Kolkata'],['Ludhiana','Punjab, India',30.9010,75.8573,'Asia/Kolkata'],['Dehradun','Uttarakhand, India',30.3165,78.0322,'Asia/Kolkata'],
+  ['Haridwar','Uttarakhand, India',29.9457,78.1642,'Asia/Kolkata'],['Rishikesh','Uttarakhand, India',30.0869,78.2676,'Asia/Kolkata'],['Shimla','Himachal Pradesh, India',31.1048,77.1734,'Asia/Kolkata'],
+  ['Srinagar','Jammu and Kashmir, India',34.0837,74.7973,'Asia/Kolkata'],['Jammu','Jammu and Kashmir, India',32.7266,74.8570,'Asia/Kolkata'],['Thiruvananthapuram','Kerala, India',8.5241,76.9366,'Asia/Kolkata'],
+  ['Kochi','Kerala, India',9.9312,76.2673,'Asia/Kolkata'],['Kozhikode','Kerala, India',11.2588,75.7804,'Asia/Kolkata'],['Panaji','Goa, India',15.4909,73.8278,'Asia/Kolkata'],
+  ['Raipur','Chhattisgarh, India',21.2514,81.6296,'Asia/Kolkata'],['Imphal','Manipur, India',24.8170,93.9368,'Asia/Kolkata'],['Shillong','Meghalaya, India',25.5788,91.8933,'Asia/Kolkata'],
+  ['Port Blair','Andaman and Nicobar, India',11.6234,92.7265,'Asia/Kolkata'],
+  // South Asia
+  ['Kathmandu','Nepal',27.7172,85.3240,'Asia/Kathmandu'],['Colombo','Sri Lanka',6.9271,79.8612,'Asia/Colombo'],['Dhaka','Bangladesh',23.8103,90.4125,'Asia/Dhaka'],
+  ['Karachi','Pakistan',24.8607,67.0011,'Asia/Karachi'],['Lahore','Pakistan',31.5204,74.3587,'Asia/Karachi'],['Islamabad','Pakistan',33.6844,73.0479,'Asia/Karachi'],
+  ['Thimphu','Bhutan',27.4728,89.6390,'Asia/Thimphu'],['Malé','Maldives',4.1755,73.5093,'Indian/Maldives'],['Kabul','Afghanistan',34.5553,69.2075,'Asia/Kabul'],
+  // Asia & Middle East
+  ['Dubai','United Arab Emirates',25.2048,55.2708,'Asia/Dubai'],['Abu Dhabi','United Arab Emirates',24.4539,54.3773,'Asia/Dubai'],['Muscat','Oman',23.5880,58.3829,'Asia/Muscat'],
+  ['Doha','Qatar',25.2854,51.5310,'Asia/Qatar'],['Riyadh','Saudi Arabia',24.7136,46.6753,'Asia/Riyadh'],['Tehran','Iran',35.6892,51.3890,'Asia/Tehran'],
+  ['Singapore','Singapore',1.3521,103.8198,'Asia/Singapore'],['Kuala Lumpur','Malaysia',3.1390,101.6869,'Asia/Kuala_Lumpur'],['Bangkok','Thailand',13.7563,100.5018,'Asia/Bangkok'],
+  ['Jakarta','Indonesia',-6.2088,106.8456,'Asia/Jakarta'],['Denpasar (Bali)','Indonesia',-8.6705,115.2126,'Asia/Makassar'],['Manila','Philippines',14.5995,120.9842,'Asia/Manila'],
+  ['Hong Kong','China',22.3193,114.1694,'Asia/Hong_Kong'],['Shanghai','China',31.2304,121.4737,'Asia/Shanghai'],['Beijing','China',39.9042,116.4074,'Asia/Shanghai'],
+  ['Tokyo','Japan',35.6762,139.6503,'Asia/Tokyo'],['Seoul','South Korea',37.5665,126.9780,'Asia/Seoul'],['Yangon','Myanmar',16.8409,96.1735,'Asia/Yangon'],
+  ['Tel Aviv','Israel',32.0853,34.7818,'Asia/Jerusalem'],['Istanbul','Turkey',41.0082,28.9784,'Europe/Istanbul'],
+  // Europe
+  ['London','United Kingdom',51.5074,-0.1278,'Europe/London'],['Leicester','United Kingdom',52.6369,-1.1398,'Europe/London'],['Birmingham','United Kingdom',52.4862,-1.8904,'Europe/London'],
+  ['Manchester','United Kingdom',53.4808,-2.2426,'Europe/London'],['Edinburgh','United Kingdom',55.9533,-3.1883,'Europe/London'],['Dublin','Ireland',53.3498,-6.2603,'Europe/Dublin'],
+  ['Paris','France',48.8566,2.3522,'Europe/Paris'],['Berlin','Germany',52.5200,13.4050,'Europe/Berlin'],['Frankfurt','Germany',50.1109,8.6821,'Europe/Berlin'],
+  ['Amsterdam','Netherlands',52.3676,4.9041,'Europe/Amsterdam'],['Brussels','Belgium',50.8503,4.3517,'Europe/Brussels'],['Zurich','Switzerland',47.3769,8.5417,'Europe/Zurich'],
+  ['Vienna','Austria',48.2082,16.3738,'Europe/Vienna'],['Rome','Italy',41.9028,12.4964,'Europe/Rome'],['Madrid','Spain',40.4168,-3.7038,'Europe/Madrid'],
+  ['Lisbon','Portugal',38.7223,-9.1393,'Europe/Lisbon'],['Stockholm','Sweden',59.3293,18.0686,'Europe/Stockholm'],['Oslo','Norway',59.9139,10.7522,'Europe/Oslo'],
+  ['Tromsø','Norway',69.6492,18.9553,'Europe/Oslo'],['Helsinki','Finland',60.1699,24.9384,'Europe/Helsinki'],['Reykjavík','Iceland',64.1466,-21.9426,'Atlantic/Reykjavik'],
+  ['Moscow','Russia',55.7558,37.6173,'Europe/Moscow'],['Murmansk','Russia',68.9585,33.0827,'Europe/Moscow'],['Warsaw','Poland',52.2297,21.0122,'Europe/Warsaw'],
+  ['Athens','Greece',37.9838,23.7275,'Europe/Athens'],
+  // Africa
+  ['Nairobi','Kenya',-1.2921,36.8219,'Africa/Nairobi'],['Johannesburg','South Africa',-26.2041,28.0473,'Africa/Johannesburg'],['Durban','South Africa',-29.8587,31.0218,'Africa/Johannesburg'],
+  ['Cape Town','South Africa',-33.9249,18.4241,'Africa/Johannesburg'],['Cairo','Egypt',30.0444,31.2357,'Africa/Cairo'],['Lagos','Nigeria',6.5244,3.3792,'Africa/Lagos'],
+  ['Dar es Salaam','Tanzania',-6.7924,39.2083,'Africa/Dar_es_Salaam'],['Kampala','Uganda',0.3476,32.5825,'Africa/Kampala'],['Port Louis','Mauritius',-20.1609,57.5012,'Indian/Mauritius'],
+  // Americas
+  ['New York','New York, USA',40.7128,-74.0060,'America/New_York'],['Edison','New Jersey, USA',40.5187,-74.4121,'America/New_York'],['Boston','Massachusetts, USA',42.3601,-71.0589,'America/New_York'],
+  ['Washington','District of Columbia, USA',38.9072,-77.0369,'America/New_York'],['Atlanta','Georgia, USA',33.7490,-84.3880,'America/New_York'],['Miami','Florida, USA',25.7617,-80.1918,'America/New_York'],
+  ['Chicago','Illinois, USA',41.8781,-87.6298,'America/Chicago'],['Houston','Texas, USA',29.7604,-95.3698,'America/Chicago'],['Dallas','Texas, USA',32.7767,-96.7970,'America/Chicago'],
+  ['Denver','Colorado, USA',39.7392,-104.9903,'America/Denver'],['Phoenix','Arizona, USA',33.4484,-112.0740,'America/Phoenix'],['Los Angeles','California, USA',34.0522,-118.2437,'America/Los_Angeles'],
+  ['San Francisco','California, USA',37.7749,-122.4194,'America/Los_Angeles'],['San Jose','California, USA',37.3382,-121.8863,'America/Los_Angeles'],['Seattle','Washington, USA',47.6062,-122.3321,'America/Los_Angeles'],
+  ['Anchorage','Alaska, USA',61.2181,-149.9003,'America/Anchorage'],['Honolulu','Hawaii, USA',21.3069,-157.8583,'Pacific/Honolulu'],['Toronto','Ontario, Canada',43.6532,-79.3832,'America/Toronto'],
+  ['Montreal','Quebec, Canada',45.5017,-73.5673,'America/Toronto'],['Vancouver','British Columbia, Canada',49.2827,-123.1207,'America/Vancouver'],['Calgary','Alberta, Canada',51.0447,-114.0719,'America/Edmonton'],
+  ['Mexico City','Mexico',19.4326,-99.1332,'America/Mexico_City'],['Port of Spain','Trinidad and Tobago',10.6549,-61.5019,'America/Port_of_Spain'],['Georgetown','Guyana',6.8013,-58.1551,'America/Guyana'],
+  ['Paramaribo','Suriname',5.8520,-55.2038,'America/Paramaribo'],['São Paulo','Brazil',-23.5505,-46.6333,'America/Sao_Paulo'],['Buenos Aires','Argentina',-34.6037,-58.3816,'America/Argentina/Buenos_Aires'],
+  ['Lima','Peru',-12.0464,-77.0428,'America/Lima'],['Bogotá','Colombia',4.7110,-74.0721,'America/Bogota'],['Santiago','Chile',-33.4489,-70.6693,'America/Santiago'],
+  // Oceania
+  ['Sydney','New South Wales, Australia',-33.8688,151.2093,'Australia/Sydney'],['Melbourne','Victoria, Australia',-37.8136,144.9631,'Australia/Melbourne'],['Brisbane','Queensland, Australia',-27.4698,153.0251,'Australia/Brisbane'],
+  ['Perth','Western Australia, Australia',-31.9505,115.8605,'Australia/Perth'],['Adelaide','South Australia, Australia',-34.9285,138.6007,'Australia/Adelaide'],['Auckland','New Zealand',-36.8485,174.7633,'Pacific/Auckland'],
+  ['Suva','Fiji',-18.1248,178.4501,'Pacific/Fiji'],
+];
+
+export const PLACES = PLACE_ROWS.map(([name,region,lat,lon,tz])=>({ name, region, lat, lon, tz }));
+
+const fold = (s)=> String(s).normalize('NFD').replace(/[\u0300-\u036f]/g,'').replace(/ø/gi,'o').toLowerCase();
+
+// Prefix matches on the city name rank first, then any substring of name or region.
+export function searchPlaces(query, limit=8){
+  const q=fold(query).trim(); if(!q) return [];
+  const prefix=[], rest=[];
+  for(const p of PLACES){ const n=fold(p.name); if(n.startsWith(q)) prefix.push(p); else if(n.includes(q)||fold(p.region).includes(q)) rest.push(p); }
+  return [...prefix, ...rest].slice(0, limit);
+}
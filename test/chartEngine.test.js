@@ -0,0 +1,405 @@
+/* =============================================================
+   Chart engine regression tests (node --test)
+   - Published anchors (ayanamsha, nodes, lunations, sankrantis)
+   - Independent formulas for the Sun and the ascendant
+   - High-latitude ascendants and the 0°/360° boundary
+   - Dignities, combustion, graha yuddha, Shadbala, Ashtakavarga
+   - Panchang limbs, sunrise-based vara, kaal periods and hora
+   - Reference charts from Swiss Ephemeris in fixtures/reference-charts.json (source noted per chart)
+   ============================================================= */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { readFileSync } from 'node:fs';
+import * as Astronomy from 'astronomy-engine';
+import {
+  DEG2RAD, norm360, signedDelta, zodiacBreakdown, nakshatraOf, ayanamshaFor, meanLunarNodeLongitude, trueLunarNodeLongitude,
+  computeAscendantDeg, houseCusps, houseOf, planetLongitudes, findEvents, scanEvents, nodeBodies, vargaOf, vimshottariDasha, dashaSubPeriods,
+  DASHA_YEAR_MS, zoneOffsetMinutes, localToUtc, formatOffset, computeChart, dignityOf, compoundRelation, combustion, grahaYuddha,
+  drishtiValue, ashtakavarga, strengthAnalysis, KALA_PARTS, GRAHAS, panchang, tithiName, karanaName,
+} from '../src/chartEngine.js';
+
+const REFERENCE_CHARTS = JSON.parse(readFileSync(new URL('./fixtures/reference-charts.json', import.meta.url), 'utf8'));
+const J2000 = new Date('2000-01-01T12:00:00Z');
+const near = (actual, expected, tol, msg)=> assert.ok(Math.abs(signedDelta(actual, expected))<=tol, `${msg??''} ${actual} ≠ ${expected} ± ${tol}`);
+const nearMinutes = (actual, expectedIso, minutes)=> assert.ok(Math.abs(actual.getTime()-new Date(expectedIso).getTime())<=minutes*60000, `${actual.toISOString()} ≠ ${expectedIso} ± ${minutes} min`);
+// Dates spread over 1900–2100 at uneven hours, so every sign and time of day gets visited.
+const sampleDates = (n)=> Array.from({ length:n }, (_,i)=> new Date(Date.UTC(1900,0,1)+i*200*365.25*86400000/n+i*37*3600000));
+const lahiri = (d)=> ayanamshaFor('lahiri', d, 0);
+const sun = (d)=> planetLongitudes(d, true).find(p=>p.key==='Sun');
+
+/* ---------------- Published anchors ---------------- */
+test('Lahiri ayanamsha matches the J2000 and 1950 reference values', ()=>{
+  near(lahiri(J2000), 23.857092, 1e-6);
+  near(lahiri(new Date('1950-01-01T00:00:00Z')), 23.1587, 0.002); // 23°09′31″ (Indian Ephemeris)
+});
+
+test('lunar nodes at J2000', ()=>{
+  near(meanLunarNodeLongitude(J2000), 125.04455501, 1e-6);
+  near(trueLunarNodeLongitude(J2000), 123.95, 0.05);
+  // The true node oscillates about the mean node by less than 2°.
+  for(const d of sampleDates(60)) near(trueLunarNodeLongitude(d), meanLunarNodeLongitude(d), 2);
+});
+
+test('lunations and stations land on the published minute', ()=>{
+  const jan = findEvents(planetLongitudes(new Date('2024-01-01T00:00:00Z'), true).filter(p=>p.key==='Moon'||p.key==='Mercury'), new Date('2024-01-01T00:00:00Z'), new Date('2024-01-31T00:00:00Z'), ()=>0, { lunation:true, station:true });
+  nearMinutes(jan.find(e=>e.text.startsWith('New moon')).time, '2024-01-11T11:57:00Z', 2);
+  nearMinutes(jan.find(e=>e.text.startsWith('Full moon')).time, '2024-01-25T17:54:00Z', 2);
+  nearMinutes(jan.find(e=>e.type==='station').time, '2024-01-02T03:08:00Z', 3);
+});
+
+test('chunked scan finds the same events as one findEvents pass', ()=>{
+  const bodies = [...planetLongitudes(J2000, false).filter(p=>['Sun','Moon','Mercury','Mars'].includes(p.key)), ...nodeBodies(false)];
+  const start = new Date('2024-03-01T00:00:00Z'), end = new Date('2024-05-10T00:00:00Z');
+  const types = { ingress:true, nakshatra:true, station:true, conjunction:true, lunation:true };
+  const whole = findEvents(bodies, start, end, lahiri, types);
+  let last; for(const step of scanEvents(bodies, start, end, lahiri, types, 10)) last = step;
+  assert.equal(last.progress, 1);
+  assert.deepEqual(last.events.map(e=>`${e.body} ${e.text}`), whole.map(e=>`${e.body} ${e.text}`));
+  last.events.forEach((e,i)=> nearMinutes(e.time, whole[i].time.toISOString(), 1));
+});
+
+test('sidereal sankrantis (Lahiri) fall within minutes of the almanac times', ()=>{
+  const ingress = (from, to)=> findEvents([sun(from)], from, to, lahiri, { ingress:true })[0];
+  const makara = ingress(new Date('2024-01-10T00:00:00Z'), new Date('2024-01-20T00:00:00Z'));
+  assert.equal(makara.text, 'enters Capricorn');
+  nearMinutes(makara.time, '2024-01-14T21:24:00Z', 15); // 15 Jan 2024 02:54 IST
+  const mesha = ingress(new Date('2024-04-10T00:00:00Z'), new Date('2024-04-20T00:00:00Z'));
+  assert.equal(mesha.text, 'enters Aries');
+  nearMinutes(mesha.time, '2024-04-13T15:45:00Z', 15); // 13 Apr 2024 21:15 IST
+});
+
+/* ---------------- Independent formulas ---------------- */
+test('Sun agrees with the low-precision solar theory (Meeus ch. 25) to 0.01°', ()=>{
+  for(const d of sampleDates(120)){
+    const T=(d.getTime()/86400000+2440587.5-2451545)/36525, M=(357.52911+35999.05029*T)*DEG2RAD, Ω=(125.04-1934.136*T)*DEG2RAD;
+    const C=(1.914602-0.004817*T)*Math.sin(M)+(0.019993-0.000101*T)*Math.sin(2*M)+0.000289*Math.sin(3*M);
+    near(sun(d).elon, 280.46646+36000.76983*T+0.0003032*T*T+C-0.00569-0.00478*Math.sin(Ω), 0.012, d.toISOString());
+  }
+});
+
+test('ascendant agrees with the closed-form formula outside the polar circles', ()=>{
+  sampleDates(120).forEach((d,i)=>{
+    const lat=-60+(i*7)%120, lon=-180+(i*53)%360, T=(d.getTime()/86400000+2440587.5-2451545)/36525;
+    const θ=(Astronomy.SiderealTime(d)*15+lon)*DEG2RAD, ε=(23.4392911-0.0130042*T)*DEG2RAD;
+    const expected=Math.atan2(Math.cos(θ), -(Math.sin(θ)*Math.cos(ε)+Math.tan(lat*DEG2RAD)*Math.sin(ε)))/DEG2RAD;
+    near(computeAscendantDeg(d, lat, lon), expected, 0.02, `${d.toISOString()} ${lat},${lon}`);
+  });
+});
+
+/* ---------------- High latitudes ---------------- */
+// Beyond the polar circles the closed form can return the western intersection; the engine keeps the rising (eastern) one.
+test('high-latitude ascendants rise on the eastern horizon', ()=>{
+  for(const lat of [66.6, 69.6492, 78.2232, -72, 80]) sampleDates(40).forEach((d,i)=>{
+    const lon=-180+(i*53)%360, asc=computeAscendantDeg(d, lat, lon);
+    const eq=Astronomy.EquatorFromVector(Astronomy.RotateVector(Astronomy.Rotation_ECT_EQD(d), Astronomy.VectorFromSphere(new Astronomy.Spherical(0, asc, 1), d)));
+    const hor=Astronomy.Horizon(d, new Astronomy.Observer(lat, lon, 0), eq.ra, eq.dec);
+    assert.ok(Math.abs(hor.altitude)<1e-4, `altitude ${hor.altitude} at ${lat}° ${d.toISOString()}`);
+    assert.ok(hor.azimuth>0 && hor.azimuth<180, `azimuth ${hor.azimuth} at ${lat}° ${d.toISOString()}`);
+  });
+});
+
+test('Placidus falls back to Porphyry where it is undefined', ()=>{
+  const d=new Date('2000-06-21T10:00:00Z');
+  assert.equal(houseCusps('placidus', d, 51.5, 0, 0).system, 'placidus');
+  const polar=houseCusps('placidus', d, 69.6492, 18.9553, 0);
+  assert.equal(polar.system, 'porphyry');
+  assert.deepEqual(polar.cusps, houseCusps('porphyry', d, 69.6492, 18.9553, 0).cusps);
+});
+
+test('Placidus cusps 1 and 10 are the ascendant and MC, and run in zodiac order', ()=>{
+  for(const d of sampleDates(30)){
+    const h=houseCusps('placidus', d, 40.7128, -74.006, lahiri(d));
+    near(h.cusps[0], h.asc, 1e-9); near(h.cusps[9], h.mc, 1e-9);
+    const total=h.cusps.reduce((s,c,i)=>s+norm360(h.cusps[(i+1)%12]-c), 0);
+    near(total, 360, 1e-6, `cusps out of order on ${d.toISOString()}`);
+  }
+});
+
+/* ---------------- 0°/360° boundary ---------------- */
+test('longitudes either side of 0° Aries', ()=>{
+  assert.equal(norm360(-1e-15), 0);
+  assert.equal(norm360(360), 0);
+  assert.equal(norm360(-30), 330);
+  assert.deepEqual([zodiacBreakdown(359.9999).sign, zodiacBreakdown(359.9999).deg, zodiacBreakdown(359.9999).min], ['Pisces', 29, 59]);
+  assert.deepEqual([zodiacBreakdown(-1e-15).sign, zodiacBreakdown(-1e-15).deg], ['Aries', 0]);
+  assert.deepEqual([nakshatraOf(359.9999).name, nakshatraOf(359.9999).pada], ['Revati', 4]);
+  assert.deepEqual([nakshatraOf(360).name, nakshatraOf(360).pada], ['Ashwini', 1]);
+  assert.equal(vargaOf(359.9999, 9).signIndex, 11);
+  assert.equal(vargaOf(0, 9).signIndex, 0);
+  near(signedDelta(1, 359), 2, 1e-12); near(signedDelta(359, 1), -2, 1e-12);
+});
+
+test('houses that straddle 0° Aries', ()=>{
+  const cusps=Array.from({ length:12 }, (_,i)=>norm360(350+i*30));
+  assert.equal(houseOf(355, cusps), 1);
+  assert.equal(houseOf(5, cusps), 1);
+  assert.equal(houseOf(19.999, cusps), 1);
+  assert.equal(houseOf(20, cusps), 2);
+  assert.equal(houseOf(349.999, cusps), 12);
+});
+
+test('a chart either side of Mesha sankranti changes the Sun from Pisces to Aries', ()=>{
+  const [before, after]=['2024-04-13T15:30:00Z', '2024-04-13T15:45:00Z'].map(iso=>computeChart({ date:new Date(iso), vargas:['D9'] }).planets.find(p=>p.key==='Sun'));
+  assert.deepEqual([before.sign, before.deg, before.nakshatra, before.pada, before.vargas.D9], ['Pisces', 29, 'Revati', 4, 'Pisces']);
+  assert.deepEqual([after.sign, after.deg, after.nakshatra, after.pada, after.vargas.D9], ['Aries', 0, 'Ashwini', 1, 'Aries']);
+});
+
+/* ---------------- Vargas ---------------- */
+test('varga signs follow the Parāśari rules', ()=>{
+  const sign=(lon, n)=> vargaOf(lon, n).signIndex;
+  assert.equal(sign(0, 2), 4);      // odd sign, first hora → Leo
+  assert.equal(sign(45, 2), 4);     // even sign, second hora → Leo
+  assert.equal(sign(15, 3), 4);     // Aries 2nd drekkana → Leo
+  assert.equal(sign(31, 7), 7);     // Taurus 1st saptamsa → Scorpio
+  assert.equal(sign(35, 7), 8);     // Taurus 2nd saptamsa → Sagittarius
+  assert.equal(sign(33.5, 9), 10);  // Taurus 2nd navamsa → Aquarius
+  assert.equal(sign(95, 9), 4);     // Cancer 2nd navamsa → Leo
+  assert.equal(sign(30, 10), 9);    // Taurus 1st dashamsa → Capricorn
+  assert.equal(sign(3, 30), 0);     // Aries 0–5° → Mars (Aries)
+  assert.equal(sign(33, 30), 1);    // Taurus 0–5° → Venus (Taurus)
+  assert.equal(sign(59, 30), 7);    // Taurus 25–30° → Mars (Scorpio)
+  assert.equal(sign(40, 12), 5);    // Taurus 5th dwadasamsa → Virgo
+});
+
+/* ---------------- Vimshottari ---------------- */
+test('Vimshottari balance and period lengths', ()=>{
+  const birth=new Date('2000-01-01T00:00:00Z');
+  const atStart=vimshottariDasha(0, birth);
+  assert.equal(atStart.birthLord, 'Ketu'); near(atStart.balanceYears, 7, 1e-9);
+  const mid=vimshottariDasha(360/27*1.5, birth); // halfway through Bharani
+  assert.equal(mid.birthLord, 'Venus'); near(mid.balanceYears, 10, 1e-9);
+  const years=(p)=>(p.end-p.start)/DASHA_YEAR_MS;
+  near(mid.mahadashas.reduce((s,p)=>s+years(p), 0), 120, 1e-9);
+  near(years(mid.mahadashas[0])-mid.balanceYears, 10, 1e-9);
+  const subs=dashaSubPeriods(mid.mahadashas[1], 1);
+  assert.equal(subs[0].lord, 'Sun');
+  assert.equal(subs[8].end.getTime(), mid.mahadashas[1].end.getTime());
+});
+
+/* ---------------- Time zones ---------------- */
+test('historical offsets, LMT and DST gaps', ()=>{
+  assert.equal(zoneOffsetMinutes('Asia/Kolkata', new Date('1943-06-01T00:00:00Z')), 390); // war time
+  assert.equal(zoneOffsetMinutes('Asia/Kolkata', new Date('1990-06-01T00:00:00Z')), 330);
+  assert.equal(formatOffset(zoneOffsetMinutes('Asia/Kolkata', new Date('1800-01-01T00:00:00Z'))), '+05:53:28');
+  assert.equal(zoneOffsetMinutes('LMT', J2000, 80.3319), 80.3319*4);
+  assert.equal(zoneOffsetMinutes('-04:30', J2000), -270);
+  assert.equal(localToUtc('2021-07-01T12:00', 'Europe/London').toISOString(), '2021-07-01T11:00:00.000Z');
+  assert.equal(localToUtc('2021-03-28T01:30', 'Europe/London').toISOString(), '2021-03-28T01:30:00.000Z'); // gap: moves forward to 02:30 BST
+  assert.ok(isNaN(localToUtc('not a date', 'UTC').getTime()));
+});
+
+/* ---------------- Dignity & strength ---------------- */
+test('exaltation, debilitation, moolatrikona and own sign', ()=>{
+  const d=(key, lon)=> dignityOf(key, lon, {});
+  assert.deepEqual(d('Sun', 10), { kind:'exalted', label:'Exalted', lord:'Mars', exact:10, offBy:0 });
+  assert.equal(d('Saturn', 15).kind, 'debilitated'); near(d('Saturn', 15).offBy, 5, 1e-9); // Aries 20° is deepest
+  assert.equal(d('Moon', 31).kind, 'exalted');       // Taurus 0–3°
+  assert.equal(d('Moon', 45).kind, 'moolatrikona');  // Taurus 3–30°
+  assert.equal(d('Mercury', 155).kind, 'exalted');   // Virgo 0–15°
+  assert.equal(d('Mercury', 167).kind, 'moolatrikona'); // Virgo 15–20°
+  assert.equal(d('Mercury', 178).kind, 'own');       // Virgo 20–30°
+  assert.equal(d('Mars', 215).kind, 'own');          // Scorpio
+  assert.equal(d('Venus', 185).kind, 'moolatrikona');
+});
+
+test('compound (panchadha) friendship', ()=>{
+  // Sun–Moon natural friends; Moon 2nd from the Sun is a temporal friend too.
+  assert.equal(compoundRelation('Sun', 'Moon', { Sun:0, Moon:1 }), 'great-friend');
+  assert.equal(compoundRelation('Sun', 'Moon', { Sun:0, Moon:6 }), 'neutral');
+  assert.equal(compoundRelation('Sun', 'Saturn', { Sun:0, Saturn:0 }), 'great-enemy');
+  assert.equal(compoundRelation('Moon', 'Saturn', { Moon:0, Saturn:9 }), 'friend');
+  assert.equal(dignityOf('Sun', 285, { Saturn:0 }).kind, 'neutral');     // Capricorn; Saturn 4th from the Sun
+  assert.equal(dignityOf('Sun', 285, { Saturn:9 }).kind, 'great-enemy'); // Saturn in the same sign
+});
+
+test('combustion orbs and graha yuddha', ()=>{
+  assert.deepEqual(combustion('Mercury', 113, 100, false), { distance:13, orb:14 });
+  assert.equal(combustion('Mercury', 113, 100, true), null);
+  assert.equal(combustion('Venus', 359, 9, false), null); // 10° across 0° Aries is not within 10°
+  assert.equal(combustion('Venus', 359, 8, false)?.distance, 9);
+  assert.equal(combustion('Sun', 0, 0, false), null);
+  const [war]=grahaYuddha([{ key:'Venus', lon:347.985, lat:-1.2 }, { key:'Jupiter', lon:347.968, lat:-1.1 }, { key:'Sun', lon:347.5, lat:0 }]);
+  assert.equal(war.winner, 'Jupiter'); assert.equal(war.loser, 'Venus');
+  assert.equal(grahaYuddha([{ key:'Mars', lon:359.6, lat:0 }, { key:'Saturn', lon:0.4, lat:1 }])[0].winner, 'Saturn');
+});
+
+test('sphuta drishti values', ()=>{
+  assert.equal(drishtiValue('Sun', 180), 60);
+  assert.equal(drishtiValue('Sun', 90), 45);
+  assert.equal(drishtiValue('Sun', 20), 0);
+  assert.equal(drishtiValue('Mars', 90), 60);
+  assert.equal(drishtiValue('Jupiter', 240), 60);
+  assert.equal(drishtiValue('Saturn', 60), 60);
+  assert.equal(drishtiValue('Saturn', -300), 60);
+});
+
+test('Ashtakavarga totals are fixed whatever the chart', ()=>{
+  const totals={ Sun:48, Moon:49, Mars:39, Mercury:54, Jupiter:56, Venus:52, Saturn:39 };
+  for(const d of sampleDates(25)){
+    const { bav, sav, grahas }=strengthAnalysis(d, 26.45, 80.33, lahiri(d));
+    for(const key of GRAHAS) assert.equal(bav[key].reduce((a,b)=>a+b,0), totals[key], key);
+    assert.equal(sav.reduce((a,b)=>a+b,0), 337);
+    for(const g of grahas){ assert.equal(g.bindus, bav[g.key][g.sign]); assert.equal(g.sav, sav[g.sign]); }
+  }
+  // All contributors in Aries: the Sun's bindus land on its own table's places counted from Aries.
+  const { bav }=ashtakavarga({ Sun:0, Moon:0, Mars:0, Mercury:0, Jupiter:0, Venus:0, Saturn:0, Ascendant:0 });
+  assert.deepEqual(bav.Sun, [3,3,3,4,2,5,4,3,5,6,7,3]);
+});
+
+test('Shadbala components stay in range and add up', ()=>{
+  for(const d of sampleDates(25)) for(const g of strengthAnalysis(d, 40.71, -74.01, lahiri(d)).grahas){
+    const s=g.shadbala;
+    assert.ok(s.dig>=0&&s.dig<=60, `dig ${s.dig}`);
+    assert.ok(s.sthana>0&&s.sthana<=60+45+30+60+15+6*30, `sthana ${s.sthana}`);
+    assert.ok(s.cheshta>=0&&s.cheshta<=60, `cheshta ${s.cheshta}`);
+    near(s.total, s.sthana+s.dig+s.kala+s.cheshta+s.naisargika+s.drik, 1e-9);
+    near(s.rupas*60, s.total, 1e-9);
+    near(s.kala, KALA_PARTS.reduce((t,p)=>t+s.kalaParts[p],0), 1e-9);
+    if(g.key==='Sun'||g.key==='Moon') assert.equal(g.motion, null); else assert.equal(g.motion==='Vakra', g.retrograde);
+  }
+});
+
+test('kala bala: each time lord gets its share once and war bala moves between the two grahas', ()=>{
+  for(const d of sampleDates(25)){
+    const { grahas, lords }=strengthAnalysis(d, 28.61, 77.21, lahiri(d)), total=(p)=>grahas.reduce((t,g)=>t+g.shadbala.kalaParts[p],0);
+    assert.deepEqual([total('abda'), total('masa'), total('vara'), total('hora'), total('tribhaga')], [15, 30, 45, 60, 120]);
+    for(const [part, share] of [['abda',15],['masa',30],['vara',45],['hora',60]]) assert.equal(grahas.find(g=>g.key===lords[part]).shadbala.kalaParts[part], share, part);
+    near(total('yuddha'), 0, 1e-9);
+  }
+  // Thursday 2 Mar 2023, 11:30 IST: Jupiter's day, Mercury's fifth hour, the middle third of the day (Sun).
+  const d=new Date('2023-03-02T06:00:00Z'), { lords, grahas }=strengthAnalysis(d, 28.6139, 77.209, lahiri(d)), s=Object.fromEntries(grahas.map(g=>[g.key,g.shadbala]));
+  assert.deepEqual([lords.vara, lords.hora, lords.tribhaga], ['Jupiter', 'Mercury', 'Sun']);
+  assert.ok(s.Venus.kalaParts.yuddha>0);
+  near(s.Venus.kalaParts.yuddha, -s.Jupiter.kalaParts.yuddha, 1e-9);
+});
+
+test('strength analysis on 2 Mar 2023: Venus–Jupiter war, Saturn combust in moolatrikona', ()=>{
+  const d=new Date('2023-03-02T06:00:00Z'), s=Object.fromEntries(strengthAnalysis(d, 28.6139, 77.209, lahiri(d)).grahas.map(g=>[g.key,g]));
+  assert.equal(s.Venus.dignity.kind, 'exalted');
+  assert.deepEqual([s.Venus.war.against, s.Venus.war.won], ['Jupiter', true]);
+  assert.deepEqual([s.Jupiter.war.against, s.Jupiter.war.won], ['Venus', false]);
+  assert.equal(s.Saturn.dignity.kind, 'moolatrikona');
+  assert.ok(s.Saturn.combust);
+  assert.equal(s.Moon.combust, null);
+  assert.equal(s.Sun.combust, null);
+});
+
+/* ---------------- Panchang ---------------- */
+const DELHI = [28.6139, 77.209];
+const delhiPanchang = (iso)=>{ const d=new Date(iso); return panchang(d, ...DELHI, lahiri(d), 'Asia/Kolkata'); };
+
+test('limb end times match the published panchang for New Delhi', ()=>{
+  const diwali=delhiPanchang('2023-11-12T10:00:00Z');
+  assert.deepEqual([diwali.tithi.paksha, diwali.tithi.name, diwali.vara.en], ['Krishna', 'Amavasya', 'Sunday']);
+  nearMinutes(diwali.tithi.end, '2023-11-13T09:26:00Z', 5); // 14:56 IST
+  const janmashtami=delhiPanchang('2024-08-26T06:00:00Z');
+  assert.deepEqual([janmashtami.tithi.name, janmashtami.nakshatra.name, janmashtami.vara.name], ['Ashtami', 'Krittika', 'Somavara']);
+  nearMinutes(janmashtami.tithi.end, '2024-08-26T20:49:00Z', 5);     // 02:19 IST on the 27th
+  nearMinutes(janmashtami.nakshatra.end, '2024-08-26T10:25:00Z', 5); // Rohini from 15:55 IST
+  nearMinutes(delhiPanchang('2024-08-26T12:00:00Z').nakshatra.end, '2024-08-27T10:08:00Z', 5); // Rohini until 15:38 IST
+});
+
+test('each limb changes exactly at its end time', ()=>{
+  for(const d of sampleDates(8)){
+    const p=panchang(d, ...DELHI, lahiri(d), 'Asia/Kolkata');
+    for(const [limb, count] of [['tithi',30],['nakshatra',27],['yoga',27],['karana',60]]){
+      const end=p[limb].end, next=panchang(end, ...DELHI, lahiri(d), 'Asia/Kolkata');
+      assert.ok(end>d && end-d<30*3600000, `${limb} end ${end.toISOString()}`);
+      assert.equal(next[limb].index, (p[limb].index+1)%count, limb);
+      assert.equal(panchang(new Date(end.getTime()-60000), ...DELHI, lahiri(d), 'Asia/Kolkata')[limb].index, p[limb].index, limb);
+    }
+  }
+});
+
+test('a panchang holds until validUntil', ()=>{
+  const limbs=(p)=>[p.tithi.index, p.nakshatra.index, p.nakshatra.pada, p.yoga.index, p.karana.index, p.vara.index, p.hora?.index, p.sunrise?.getTime()].join();
+  for(const d of sampleDates(6)){
+    const p=delhiPanchang(d.toISOString()), until=p.validUntil;
+    assert.ok(until>d && until-d<=24*3600000, until.toISOString());
+    assert.equal(limbs(delhiPanchang(new Date(until.getTime()-60000).toISOString())), limbs(p));
+    assert.notEqual(limbs(delhiPanchang(new Date(until.getTime()+1000).toISOString())), limbs(p));
+  }
+});
+
+test('vara runs from sunrise, not midnight', ()=>{
+  const beforeDawn=delhiPanchang('2024-08-26T23:30:00Z'); // Tue 05:00 IST, sunrise ≈ 05:56
+  assert.equal(beforeDawn.vara.en, 'Monday');
+  assert.equal(beforeDawn.hora.day, false);
+  assert.ok(beforeDawn.vara.end>new Date('2024-08-26T23:30:00Z'));
+  assert.equal(delhiPanchang('2024-08-27T01:00:00Z').vara.en, 'Tuesday');
+});
+
+test('Rahu Kaal, Yamaganda, Gulika and hora divide the day', ()=>{
+  const p=delhiPanchang('2024-08-26T06:00:00Z'), eighth=(p.sunset-p.sunrise)/8; // Monday
+  const partStart=(k)=>Math.abs(k.start.getTime()-p.sunrise.getTime())/eighth;
+  near(partStart(p.rahuKaal), 1, 1e-6);  // 2nd part
+  near(partStart(p.yamaganda), 3, 1e-6); // 4th part
+  near(partStart(p.gulika), 5, 1e-6);    // 6th part
+  assert.ok(p.sunrise<p.sunset && p.sunset<p.nextSunrise);
+  assert.ok(p.moonrise>p.sunrise && p.moonrise<p.nextSunrise);
+  assert.equal(delhiPanchang(new Date(p.sunrise.getTime()+60000).toISOString()).hora.lord, 'Moon'); // first hora is the vara lord's
+  assert.deepEqual([p.hora.index, p.hora.lord], [5, 'Venus']); // Mo Sa Ju Ma Su Ve
+  assert.ok(p.hora.start<=p.date && p.date<p.hora.end);
+});
+
+test('tithi and karana names', ()=>{
+  assert.deepEqual([0, 14, 15, 29].map(tithiName), ['Pratipada', 'Purnima', 'Pratipada', 'Amavasya']);
+  assert.deepEqual([0, 1, 7, 8, 56, 57, 58, 59].map(karanaName), ['Kimstughna', 'Bava', 'Vishti', 'Bava', 'Vishti', 'Shakuni', 'Chatushpada', 'Naga']);
+});
+
+test('polar day has no sunrise-based items', ()=>{
+  const d=new Date('2024-06-21T12:00:00Z'), p=panchang(d, 78.2232, 15.6267, lahiri(d), 'Arctic/Longyearbyen');
+  assert.equal(p.sunrise, null);
+  assert.deepEqual([p.rahuKaal, p.yamaganda, p.gulika, p.hora], [null, null, null, null]);
+  assert.deepEqual([p.vara.en, p.vara.fromSunrise], ['Friday', false]);
+  assert.ok(p.tithi.end instanceof Date);
+});
+
+/* ---------------- computeChart ---------------- */
+test('computeChart rejects bad input', ()=>{
+  assert.throws(()=>computeChart({ whenIso:'2000-01-01T00:00', zone:'Mars/Olympus' }), /time zone/);
+  assert.throws(()=>computeChart({ whenIso:'yesterday' }), /valid date/);
+  assert.throws(()=>computeChart({ date:J2000, lat:91 }), /location/);
+  assert.throws(()=>computeChart({ date:J2000, houseSystem:'koch' }), /house system/);
+  assert.throws(()=>computeChart({ date:J2000, ayanamsha:'yukteshwar' }), /ayanamsha/);
+  assert.throws(()=>computeChart({ date:J2000, vargas:['D5'] }), /varga/);
+});
+
+test('computeChart reads wall-clock time in the given zone', ()=>{
+  const a=computeChart({ whenIso:'1990-05-15T12:00', zone:'Asia/Kolkata', lat:26.45, lon:80.33 });
+  const b=computeChart({ date:new Date('1990-05-15T06:30:00Z'), lat:26.45, lon:80.33 });
+  assert.equal(a.date.getTime(), b.date.getTime());
+  assert.deepEqual(a.planets.map(p=>p.lon), b.planets.map(p=>p.lon));
+});
+
+test('a manual ayanamsha shifts every sidereal longitude by the same amount', ()=>{
+  const tropical=computeChart({ date:J2000, sidereal:false }), manual=computeChart({ date:J2000, ayanamsha:20 });
+  assert.equal(manual.ayanamsha.model, 'manual');
+  tropical.planets.forEach((p,i)=>near(p.lon-manual.planets[i].lon, 20, 1e-9, p.key));
+});
+
+// Swiss Ephemeris subtracts the nutated (true) Lahiri ayanamsha, the engine the mean one, so sidereal longitudes
+// differ by the nutation in longitude (≤ 17″); positions and cusps are held to 0.01°, the dasha balance to ~2 days.
+for(const { name, options, expected } of REFERENCE_CHARTS){
+  test(`reference chart: ${name}`, ()=>{
+    const chart=computeChart({ ...options, ...(options.date? { date:new Date(options.date) }: {}) });
+    assert.equal(chart.date.toISOString(), expected.date);
+    near(chart.ayanamsha.deg, expected.ayanamsha, 1e-3);
+    assert.equal(chart.houses.system, expected.houseSystem);
+    chart.houses.cusps.forEach((c,i)=>near(c, expected.cusps[i], 0.01, `cusp ${i+1}`));
+    for(const [actual, want] of [[chart.ascendant, expected.ascendant], ...chart.planets.map((p,i)=>[p, expected.planets[i]])]){
+      assert.equal(actual.key, want.key);
+      near(actual.lon, want.lon, 0.01, want.key);
+      assert.deepEqual({ sign:actual.sign, nakshatra:actual.nakshatra, pada:actual.pada, house:actual.house }, { sign:want.sign, nakshatra:want.nakshatra, pada:want.pada, house:want.house }, want.key);
+      if('retrograde' in want) assert.equal(actual.retrograde, want.retrograde, `${want.key} retrograde`);
+      if(want.vargas) assert.deepEqual(actual.vargas, want.vargas, `${want.key} vargas`);
+    }
+    if(expected.dasha){ assert.equal(chart.dasha.birthLord, expected.dasha.birthLord); near(chart.dasha.balanceYears, expected.dasha.balanceYears, 0.005); }
+    if(expected.kalaLords) assert.deepEqual(chart.strength.lords, expected.kalaLords);
+    if(expected.shadbala) for(const g of chart.strength.grahas){
+      const s=g.shadbala, got={ ...s.sthanaParts, ...s.kalaParts, dig:s.dig };
+      for(const [part, want] of Object.entries(expected.shadbala[g.key])) near(got[part], want, 0.01, `${g.key} ${part}`);
+    }
+  });
+}
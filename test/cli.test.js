@@ -0,0 +1,60 @@
+/* =============================================================
+   vedic-chart CLI tests (node --test)
+   ============================================================= */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { spawnSync } from 'node:child_process';
+import { fileURLToPath } from 'node:url';
+
+const CLI = fileURLToPath(new URL('../bin/vedic-chart.js', import.meta.url));
+const run = (...args)=> spawnSync(process.execPath, [CLI, ...args], { encoding:'utf8', timeout:30000 });
+
+test('--json prints the same chart as the engine, with the place looked up', ()=>{
+  const r=run('--date', '1990-05-15T12:00', '--place', 'Kanpur', '--varga', 'D9', '--dasha', '--json');
+  assert.equal(r.status, 0, r.stderr);
+  const chart=JSON.parse(r.stdout);
+  assert.equal(chart.date, '1990-05-15T06:30:00.000Z');
+  assert.equal(chart.zone, 'Asia/Kolkata');
+  assert.match(chart.place, /^Kanpur/);
+  assert.equal(chart.planets.length, 12);
+  assert.ok(chart.ascendant.vargas.D9);
+  assert.equal(chart.dasha.mahadashas.length, 9);
+});
+
+test('an ISO instant ignores the zone for the UT time', ()=>{
+  const chart=JSON.parse(run('--date', '2000-01-01T12:00Z', '--zone', 'Asia/Tokyo', '--json').stdout);
+  assert.equal(chart.date, '2000-01-01T12:00:00.000Z');
+});
+
+test('table output lists every body and the house cusps', ()=>{
+  const r=run('--date', '2000-01-01T12:00Z', '--lat', '69.6492', '--lon', '18.9553', '--houses', 'placidus', '--no-outer');
+  assert.equal(r.status, 0, r.stderr);
+  for(const name of ['Ascendant', 'Sun', 'Saturn', 'Rahu (Mean)', 'House cusps:', 'placidus undefined at this latitude']) assert.ok(r.stdout.includes(name), name);
+  assert.ok(!r.stdout.includes('Pluto'));
+});
+
+test('--strength adds dignity columns and the Shadbala / SAV summaries', ()=>{
+  const r=run('--date', '2023-03-02T11:30', '--place', 'Delhi', '--strength');
+  assert.equal(r.status, 0, r.stderr);
+  assert.match(r.stdout, /Venus .*Exalted, wins war vs Jupiter/);
+  assert.match(r.stdout, /^Shadbala \(rupas \/ required\): Sun /m);
+  assert.match(r.stdout, /^SAV: Ari \d+ /m);
+});
+
+test('--panchang prints the five limbs and the kaal periods', ()=>{
+  const r=run('--date', '2024-08-26T12:00', '--place', 'Delhi', '--panchang');
+  assert.equal(r.status, 0, r.stderr);
+  assert.match(r.stdout, /^  Tithi +Krishna Ashtami until /m);
+  assert.match(r.stdout, /^  Vara +Somavara \(Monday\) until /m);
+  assert.match(r.stdout, /^  Rahu Kaal +\S/m);
+});
+
+test('usage errors exit 2, chart errors exit 1', ()=>{
+  assert.equal(run().status, 2);
+  assert.equal(run('--date', '2000-01-01T00:00', '--bogus').status, 2);
+  const bad=run('--date', '2000-01-01T00:00', '--houses', 'koch');
+  assert.equal(bad.status, 1);
+  assert.match(bad.stderr, /Unknown house system/);
+  assert.equal(run('--help').status, 0);
+});